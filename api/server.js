@@ -0,0 +1,521 @@
+const express = require('express');
+const path = require('path');
+const fs = require('fs');
+const rateLimit = require('express-rate-limit');
+const helmet = require('helmet');
+const Anthropic = require('@anthropic-ai/sdk');
+const { createClient } = require('@supabase/supabase-js');
+const WebSocket = require('ws');
+require('dotenv').config();
+
+// Same modules the pages use, so server scores match what the rep saw before
+const Scoring = require('../js/scoring.js');
+const Scenarios = require('../js/scenarios.js');
+const Objections = require('../js/objections.js');
+const Compensation = require('../js/compensation.js');
+const Sessions = require('../js/sessions.js');
+const Debrief = require('../js/debrief.js');
+const PracticePlan = require('../js/practice-plan.js');
+const Coaching = require('../js/coaching.js');
+
+const app = express();
+const PORT = process.env.PORT || 3001;
+const PAGES_ROOT = path.join(__dirname, '..');
+const DEBRIEF_MODEL = process.env.DEBRIEF_MODEL || 'claude-sonnet-4-20250514';
+
+// Origins allowed to call the API from another host (e.g. pages served by realtime-stub in dev)
+const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+
+// ===================
+// INITIALIZE CLIENTS
+// ===================
+
+// Service role: bypasses row-level security, so every write below sets user_id itself
+// (ws only because supabase-js needs a WebSocket on Node < 22; the API never subscribes)
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY, {
+    auth: { persistSession: false, autoRefreshToken: false },
+    realtime: { transport: WebSocket }
+});
+
+const anthropic = new Anthropic({
+    apiKey: process.env.ANTHROPIC_API_KEY
+});
+
+// ===================
+// SECURITY MIDDLEWARE
+// ===================
+
+app.use(helmet({
+    contentSecurityPolicy: {
+        directives: {
+            defaultSrc: ["'self'"],
+            styleSrc: ["'self'", "'unsafe-inline'", "https://fonts.googleapis.com"],
+            fontSrc: ["'self'", "https://fonts.gstatic.com"],
+            imgSrc: ["'self'", "data:", "blob:"],
+            mediaSrc: ["'self'", "blob:", "https://*.supabase.co"],
+            scriptSrc: ["'self'", "'unsafe-inline'", "https://cdn.jsdelivr.net"],
+            scriptSrcAttr: ["'unsafe-inline'"],
+            connectSrc: ["'self'", "https://*.supabase.co", "wss://*.supabase.co", "wss://valtori-realtime-server-production.up.railway.app", "https://cdn.jsdelivr.net"],
+        },
+    },
+    crossOriginEmbedderPolicy: false,
+}));
+
+app.use('/api', (req, res, next) => {
+    const origin = req.headers.origin;
+    if (origin && ALLOWED_ORIGINS.includes(origin)) {
+        res.setHeader('Access-Control-Allow-Origin', origin);
+        res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+        res.setHeader('Vary', 'Origin');
+    }
+    if (req.method === 'OPTIONS') return res.sendStatus(204);
+    next();
+});
+
+// 20 saved calls a minute per IP is far more than anyone can actually dial
+const sessionLimiter = rateLimit({
+    windowMs: 60 * 1000,
+    max: 20,
+    message: {
+        error: 'Too many requests',
+        message: 'Please wait a minute before saving more calls.',
+        retryAfter: 60
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
+// Every debrief question is a model call, so these are tighter
+const debriefLimiter = rateLimit({
+    windowMs: 60 * 1000,
+    max: 10,
+    message: {
+        error: 'Too many requests',
+        message: 'Please wait a minute before asking the coach more questions.',
+        retryAfter: 60
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
+app.use(express.json({ limit: '2mb' }));
+
+// ===================
+// VALTORI PAGES
+// ===================
+
+// Only the pages and js/ are public; nothing else in the repo (including this folder's .env)
+app.use('/js', express.static(path.join(PAGES_ROOT, 'js')));
+
+app.get(['/', '/:page.html'], (req, res, next) => {
+    const page = req.params.page ? `${req.params.page}.html` : 'index.html';
+    if (!/^[a-z0-9-]+\.html$/i.test(page)) return next();
+
+    const filePath = path.join(PAGES_ROOT, page);
+    if (!fs.existsSync(filePath)) return next();
+    res.sendFile(filePath);
+});
+
+// ===================
+// AUTH
+// ===================
+
+// Resolves the Supabase user behind the page's access token
+async function requireUser(req, res, next) {
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+    if (!token) {
+        return res.status(401).json({ error: 'Sign in to continue' });
+    }
+
+    try {
+        const { data, error } = await supabase.auth.getUser(token);
+        if (error || !data.user) {
+            return res.status(401).json({ error: 'Your session has expired. Sign in again.' });
+        }
+        req.user = data.user;
+    } catch (error) {
+        return next(error);
+    }
+    next();
+}
+
+// ===================
+// VALIDATION HELPERS
+// ===================
+
+const MAX_MESSAGES = 400;
+const MAX_MESSAGE_CHARS = 5000;
+const MAX_DURATION_SECONDS = 4 * 60 * 60;
+const MAX_HINTS = 200;
+const MAX_HINT_CHARS = 300;
+const MAX_TIMELINE_SEGMENTS = 5000;
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const optionalNumber = value => value === undefined || value === null || Number.isFinite(value);
+const isUuid = value => typeof value === 'string' && /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value);
+
+const hasOnly = (value, keys) => Object.keys(value).every(key => keys.includes(key));
+
+// VoiceActivityTracker.finish() in js/voice-analytics.js: top-level numbers,
+// three groups of numbers and the talk timeline. Any number may be null.
+const VOICE_NUMBERS = ['durationMs', 'repTalkMs', 'prospectTalkMs', 'talkRatio', 'longestMonologueMs', 'speakingRateWpm'];
+const VOICE_GROUPS = {
+    silence: ['count', 'totalMs', 'longestMs'],
+    responseLatency: ['count', 'avgMs', 'maxMs'],
+    volume: ['avgDb', 'peakDb', 'clippedFrames']
+};
+const HINT_RULES = Coaching.RULES.map(rule => rule.id);
+
+function isVoiceAnalytics(analytics) {
+    if (!isObject(analytics) || !hasOnly(analytics, [...VOICE_NUMBERS, ...Object.keys(VOICE_GROUPS), 'timeline'])) return false;
+    if (!VOICE_NUMBERS.every(key => optionalNumber(analytics[key]))) return false;
+
+    const groupsOk = Object.entries(VOICE_GROUPS).every(([group, keys]) => analytics[group] == null
+        || (isObject(analytics[group]) && hasOnly(analytics[group], keys) && keys.every(key => optionalNumber(analytics[group][key]))));
+    if (!groupsOk) return false;
+
+    const { timeline } = analytics;
+    return timeline == null || (Array.isArray(timeline)
+        && timeline.length <= MAX_TIMELINE_SEGMENTS
+        && timeline.every(segment => isObject(segment)
+            && hasOnly(segment, ['speaker', 'start', 'end'])
+            && (segment.speaker === 'rep' || segment.speaker === 'prospect')
+            && Number.isFinite(segment.start)
+            && Number.isFinite(segment.end)));
+}
+
+// LiveCoach.history in js/coaching.js
+function isCoachingHints(hints) {
+    return Array.isArray(hints)
+        && hints.length <= MAX_HINTS
+        && hints.every(hint => isObject(hint)
+            && hasOnly(hint, ['rule', 'text', 'at'])
+            && HINT_RULES.includes(hint.rule)
+            && typeof hint.text === 'string'
+            && hint.text.length > 0
+            && hint.text.length <= MAX_HINT_CHARS
+            && Number.isFinite(hint.at));
+}
+
+// Returns an error string, or null when the call can be scored
+function validateCall(body, userId) {
+    if (!isObject(body)) return 'Expected a JSON body';
+
+    const { messages, duration, scenarioId, drillObjection, recordingPath } = body;
+
+    if (!Array.isArray(messages) || messages.length > MAX_MESSAGES) {
+        return `messages must be an array of at most ${MAX_MESSAGES} turns`;
+    }
+    const badTurn = messages.find(m => !isObject(m)
+        || (m.speaker !== 'user' && m.speaker !== 'ai')
+        || typeof m.text !== 'string'
+        || m.text.length > MAX_MESSAGE_CHARS
+        || !optionalNumber(m.startedAt)
+        || !optionalNumber(m.endedAt)
+        || !optionalNumber(m.timestamp));
+    if (badTurn) return 'Each message needs a speaker of "user" or "ai", text, and numeric timestamps';
+
+    if (!Number.isInteger(duration) || duration < 0 || duration > MAX_DURATION_SECONDS) {
+        return 'duration must be a whole number of seconds';
+    }
+    if (scenarioId != null && !Scenarios.getScenario(scenarioId)) return `Unknown scenario: ${scenarioId}`;
+    if (drillObjection != null && !Objections.getObjection(drillObjection)) return `Unknown objection: ${drillObjection}`;
+
+    // Recordings are uploaded by the page into the rep's own folder
+    if (recordingPath != null && (typeof recordingPath !== 'string' || !recordingPath.startsWith(`${userId}/`))) {
+        return 'recordingPath must be in your own recordings folder';
+    }
+    if (!optionalNumber(body.recordingStartedAt)) return 'recordingStartedAt must be a timestamp in ms';
+    if (body.voiceAnalytics != null && !isVoiceAnalytics(body.voiceAnalytics)) {
+        return 'voiceAnalytics must be the call page\'s talk-time summary';
+    }
+    if (body.playbackMetrics != null && !isObject(body.playbackMetrics)) return 'playbackMetrics must be an object';
+    if (body.coachingHints != null && !isCoachingHints(body.coachingHints)) {
+        return `coachingHints must be at most ${MAX_HINTS} live hints of { rule, text, at }`;
+    }
+    if (body.retryOf != null && (!isUuid(body.retryOf) || !Number.isInteger(body.retryTurn) || body.retryTurn < 1)) {
+        return 'A retry needs the original session id and a retryTurn of 1 or more';
+    }
+    // Seeded turns are the retried call's opening, so they only come first and only on a retry
+    const seeded = messages.filter(m => m.seeded).length;
+    if (messages.slice(0, seeded).some(m => !m.seeded)
+        || seeded !== (body.retryOf != null ? body.retryTurn - 1 : 0)) {
+        return 'Seeded messages must be the retryTurn - 1 turns the retry starts from';
+    }
+    if ((body.practicePlanId != null || body.planItem != null)
+        && (!isUuid(body.practicePlanId) || typeof body.planItem !== 'string')) {
+        return 'practicePlanId (a plan id) and planItem go together';
+    }
+
+    return null;
+}
+
+// Only the fields the scorers read, so nothing extra ends up in the row
+function cleanMessages(messages) {
+    return messages.map(m => {
+        const turn = { speaker: m.speaker, text: m.text };
+        ['startedAt', 'endedAt', 'timestamp'].forEach(key => {
+            if (Number.isFinite(m[key])) turn[key] = m[key];
+        });
+        if (m.interrupted) {
+            turn.interrupted = true;
+            if (Number.isFinite(m.heardMs)) turn.heardMs = m.heardMs;
+        }
+        if (m.seeded) turn.seeded = true; // Carried over from the call being retried
+        return turn;
+    });
+}
+
+// A retry's seeded turns have to be the original call's opening, word for word
+function matchesRetryPrefix(messages, originalMessages, retryTurn) {
+    const original = Debrief.textTurns(originalMessages);
+    if (retryTurn > original.length) return false;
+    const seeded = messages.filter(m => m.seeded);
+    return seeded.every((m, index) => m.speaker === original[index].speaker && m.text === original[index].text);
+}
+
+// Returns an error string, or null for a chat the model will accept
+function validateDebrief(body) {
+    if (!isObject(body)) return 'Expected a JSON body';
+    if (!isUuid(body.sessionId)) return 'sessionId must be a call session id';
+
+    const { messages } = body;
+    if (!Array.isArray(messages) || messages.length === 0) return 'messages must be a non-empty array';
+    const badMessage = messages.find((m, index) => !isObject(m)
+        || m.role !== (index % 2 === messages.length % 2 ? 'assistant' : 'user')
+        || typeof m.content !== 'string'
+        || !m.content.trim());
+    if (badMessage) return 'messages must alternate user and assistant text and end with a user question';
+    if (messages.some(m => m.role === 'user' && m.content.length > Debrief.MAX_QUESTION_CHARS)) {
+        return `Questions can be at most ${Debrief.MAX_QUESTION_CHARS} characters`;
+    }
+    if (messages.some(m => m.role === 'assistant' && m.content.length > Debrief.MAX_REPLY_CHARS)) {
+        return `Coach replies can be at most ${Debrief.MAX_REPLY_CHARS} characters`;
+    }
+
+    return null;
+}
+
+const numberOrNull = value => Number.isFinite(value) ? value : null;
+
+// Copies only the known fields. longestMonologueMs and responseLatency.avgMs
+// are rounded because integer generated columns are cast from them
+// (migration 20261019000008).
+function cleanVoiceAnalytics(analytics) {
+    if (!analytics) return null;
+    const clean = {};
+    VOICE_NUMBERS.forEach(key => {
+        clean[key] = numberOrNull(analytics[key]);
+    });
+    Object.entries(VOICE_GROUPS).forEach(([group, keys]) => {
+        clean[group] = {};
+        keys.forEach(key => {
+            clean[group][key] = numberOrNull(analytics[group] && analytics[group][key]);
+        });
+    });
+    clean.timeline = (analytics.timeline || []).map(segment => ({
+        speaker: segment.speaker,
+        start: Math.round(segment.start),
+        end: Math.round(segment.end)
+    }));
+    if (clean.longestMonologueMs !== null) clean.longestMonologueMs = Math.round(clean.longestMonologueMs);
+    if (clean.responseLatency.avgMs !== null) clean.responseLatency.avgMs = Math.round(clean.responseLatency.avgMs);
+    return clean;
+}
+
+function cleanCoachingHints(hints) {
+    return (hints || []).map(hint => ({ rule: hint.rule, text: hint.text, at: hint.at }));
+}
+
+const PLAYBACK_METRICS = ['chunks', 'underruns', 'gapMs', 'maxBufferedMs', 'avgStartLatencyMs', 'maxStartLatencyMs'];
+
+// Whole numbers only, so results.html and trend queries can rely on the shape
+function cleanPlaybackMetrics(metrics) {
+    if (!metrics) return null;
+    const clean = {};
+    PLAYBACK_METRICS.forEach(key => {
+        clean[key] = Number.isFinite(metrics[key]) ? Math.max(0, Math.round(metrics[key])) : null;
+    });
+    return clean;
+}
+
+// ===================
+// API ROUTES
+// ===================
+
+// The page sends what happened on the call; scores, outcome, commission and
+// objection grades are all computed here, never taken from the client.
+app.post('/api/sessions', sessionLimiter, requireUser, async (req, res) => {
+    const requestId = Date.now().toString(36);
+    const user = req.user;
+    const body = req.body;
+
+    const validationError = validateCall(body, user.id);
+    if (validationError) {
+        console.log(`[${requestId}] ❌ Validation failed:`, validationError);
+        return res.status(400).json({ error: validationError });
+    }
+
+    try {
+        const { data: membership, error: membershipError } = await supabase
+            .from('organization_members')
+            .select('organization_id, organizations(commission_rate, monthly_quota, deal_values)')
+            .eq('user_id', user.id)
+            .limit(1)
+            .maybeSingle();
+        if (membershipError) throw membershipError;
+
+        // A retry can only point at one of the rep's own calls
+        if (body.retryOf != null) {
+            const { data: original, error: originalError } = await supabase
+                .from('call_sessions')
+                .select('id, user_id, messages')
+                .eq('id', body.retryOf)
+                .maybeSingle();
+            if (originalError) throw originalError;
+            if (!original || original.user_id !== user.id) {
+                console.log(`[${requestId}] ❌ Retry of unknown session:`, body.retryOf);
+                return res.status(400).json({ error: 'The call being retried was not found' });
+            }
+            if (!matchesRetryPrefix(body.messages, original.messages, body.retryTurn)) {
+                console.log(`[${requestId}] ❌ Retry doesn't match session:`, body.retryOf, body.retryTurn);
+                return res.status(400).json({ error: 'The retry doesn\'t start from that call\'s transcript' });
+            }
+        }
+
+        // Likewise a plan item has to be on one of the rep's own plans
+        if (body.practicePlanId != null) {
+            const { data: plan, error: planError } = await supabase
+                .from('practice_plans')
+                .select('user_id, items')
+                .eq('id', body.practicePlanId)
+                .maybeSingle();
+            if (planError) throw planError;
+            if (!plan || plan.user_id !== user.id || !PracticePlan.findItem(plan, body.planItem)) {
+                console.log(`[${requestId}] ❌ Unknown plan item:`, body.practicePlanId, body.planItem);
+                return res.status(400).json({ error: 'That practice plan item was not found' });
+            }
+        }
+
+        const messages = cleanMessages(body.messages);
+        const scenario = body.scenarioId ? Scenarios.getScenario(body.scenarioId) : null;
+        const drill = body.drillObjection || null;
+
+        // A retry is scored on what the rep said this time; the seeded opening is stored but not scored
+        const liveMessages = messages.filter(m => !m.seeded);
+        const { scores, closed, metrics } = Scoring.scoreCall(liveMessages);
+        const plan = Compensation.resolvePlan(scenario, membership ? membership.organizations : null);
+        const { dealValue, commission } = Compensation.payout(plan, closed);
+        const objectionResults = Objections.gradeCall(liveMessages, drill ? [drill] : (scenario ? scenario.objections : []));
+
+        const { data: row, error } = await supabase.from('call_sessions').insert([{
+            user_id: user.id,
+            user_email: user.email,
+            organization_id: membership ? membership.organization_id : null,
+            scenario_id: scenario ? scenario.id : null,
+            duration: body.duration,
+            overall_score: scores.overall,
+            confidence_score: scores.confidence,
+            clarity_score: scores.clarity,
+            pacing_score: scores.pacing,
+            filler_count: scores.fillers,
+            sale_closed: closed,
+            deal_value: dealValue,
+            commission,
+            close_attempted: metrics.close.attempted,
+            talk_ratio: Number(metrics.talkRatio.toFixed(3)),
+            words_per_minute: metrics.wordsPerMinute,
+            messages,
+            drill_objection: drill,
+            exam_mode: !!body.examMode,
+            voice_analytics: cleanVoiceAnalytics(body.voiceAnalytics),
+            playback_metrics: cleanPlaybackMetrics(body.playbackMetrics),
+            coaching_hints: cleanCoachingHints(body.coachingHints),
+            objection_results: objectionResults,
+            retry_of: body.retryOf != null ? body.retryOf : null,
+            retry_turn: body.retryOf != null ? body.retryTurn : null,
+            practice_plan_id: body.practicePlanId || null,
+            plan_item: body.practicePlanId ? body.planItem : null,
+            recording_path: body.recordingPath || null,
+            recording_started_at: body.recordingPath && body.recordingStartedAt
+                ? new Date(body.recordingStartedAt).toISOString()
+                : null
+        }]).select('*').single();
+        if (error) throw error;
+
+        console.log(`[${requestId}] ✅ Session ${row.id} saved for ${user.id} (score ${scores.overall}${closed ? ', closed' : ''})`);
+        res.status(201).json({ session: Sessions.fromRow(row), monthlyQuota: plan.monthlyQuota });
+
+    } catch (error) {
+        console.error(`[${requestId}] ❌ Could not save session:`, error);
+        res.status(500).json({ error: 'The call could not be saved. Please try again.' });
+    }
+});
+
+// Follow-up questions about one saved call. The transcript and scores come
+// from the row, not the page, and only the rep who made the call can ask.
+app.post('/api/debrief', debriefLimiter, requireUser, async (req, res) => {
+    const requestId = Date.now().toString(36);
+    const user = req.user;
+    const body = req.body;
+
+    const validationError = validateDebrief(body);
+    if (validationError) {
+        console.log(`[${requestId}] ❌ Debrief validation failed:`, validationError);
+        return res.status(400).json({ error: validationError });
+    }
+
+    try {
+        const { data: row, error } = await supabase
+            .from('call_sessions')
+            .select('*')
+            .eq('id', body.sessionId)
+            .maybeSingle();
+        if (error) throw error;
+        if (!row || row.user_id !== user.id) {
+            return res.status(404).json({ error: 'Call not found' });
+        }
+
+        const response = await anthropic.messages.create({
+            model: DEBRIEF_MODEL,
+            max_tokens: 1024,
+            system: `${Debrief.SYSTEM_PROMPT}\n\n${Debrief.buildContext(Sessions.fromRow(row))}`,
+            messages: Debrief.trimHistory(body.messages).map(m => ({ role: m.role, content: m.content }))
+        });
+        // Capped so the page can send it back in the history without failing validation
+        const reply = response.content.filter(block => block.type === 'text').map(block => block.text).join('\n').trim()
+            .slice(0, Debrief.MAX_REPLY_CHARS).trim();
+        if (!reply) throw new Error(`Empty reply (stop reason: ${response.stop_reason})`);
+
+        console.log(`[${requestId}] 💬 Debrief for session ${row.id} (${body.messages.length} messages)`);
+        res.json({ reply });
+
+    } catch (error) {
+        console.error(`[${requestId}] ❌ Debrief failed:`, error);
+        res.status(502).json({ error: 'The coach is unavailable right now. Please try again.' });
+    }
+});
+
+app.get('/api/health', (req, res) => {
+    res.json({ ok: true });
+});
+
+// Anything a route passed to next(err), plus malformed JSON bodies from express.json()
+app.use((err, req, res, next) => {
+    if (err.type === 'entity.parse.failed') {
+        return res.status(400).json({ error: 'Expected a JSON body' });
+    }
+    console.error('❌ Unhandled API error:', err);
+    res.status(err.status || 500).json({ error: 'Something went wrong. Please try again.' });
+});
+
+// test/ requires the app without starting a server
+if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log(`🚀 Valtori API running on http://localhost:${PORT}`);
+    });
+}
+
+module.exports = app;
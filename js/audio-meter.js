@@ -0,0 +1,70 @@
+// ===================
+// VALTORI AUDIO METER
+// ===================
+// AnalyserNode wrapper behind the call waveform and the pre-call mic check.
+// Connect any audio node to meter.input, then poll level() or bands() from
+// requestAnimationFrame. Load js/voice-analytics.js first: the clipping
+// level comes from there so the live warning matches the saved stats.
+
+(function (root) {
+    const CLIP_LEVEL = root.ValtoriVoiceAnalytics.CLIP_LEVEL;
+    const VOICE_BAND_HZ = [80, 4000]; // Where speech energy lives; bands() ignores the rest
+
+    class AudioMeter {
+        constructor(audioContext, { fftSize = 1024, smoothing = 0.6 } = {}) {
+            this.ctx = audioContext;
+            this.input = audioContext.createAnalyser();
+            this.input.fftSize = fftSize;
+            this.input.smoothingTimeConstant = smoothing;
+            this.timeData = new Float32Array(this.input.fftSize);
+            this.freqData = new Uint8Array(this.input.frequencyBinCount);
+        }
+
+        // Current rms and peak (0-1); clipped when the signal hits full scale
+        level() {
+            this.input.getFloatTimeDomainData(this.timeData);
+            let sumSquares = 0;
+            let peak = 0;
+            for (let i = 0; i < this.timeData.length; i++) {
+                const sample = this.timeData[i];
+                sumSquares += sample * sample;
+                peak = Math.max(peak, Math.abs(sample));
+            }
+            return { rms: Math.sqrt(sumSquares / this.timeData.length), peak, clipped: peak >= CLIP_LEVEL };
+        }
+
+        // `count` bar heights (0-1) across the voice band
+        bands(count) {
+            this.input.getByteFrequencyData(this.freqData);
+            const binHz = this.ctx.sampleRate / this.input.fftSize;
+            const first = Math.max(1, Math.floor(VOICE_BAND_HZ[0] / binHz));
+            const last = Math.min(this.freqData.length - 1, Math.ceil(VOICE_BAND_HZ[1] / binHz));
+            const perBar = Math.max(1, (last - first) / count);
+
+            const heights = [];
+            for (let bar = 0; bar < count; bar++) {
+                const from = Math.floor(first + bar * perBar);
+                const to = Math.max(from + 1, Math.floor(first + (bar + 1) * perBar));
+                let max = 0;
+                for (let i = from; i < to && i < this.freqData.length; i++) {
+                    max = Math.max(max, this.freqData[i]);
+                }
+                heights.push(max / 255);
+            }
+            return heights;
+        }
+
+        disconnect() {
+            this.input.disconnect();
+        }
+    }
+
+    // Maps rms onto a 0-1 meter scale in dB, so quiet speech still moves the bar
+    function meterScale(rms, floorDb = -60) {
+        if (rms <= 0) return 0;
+        const db = 20 * Math.log10(rms);
+        return Math.max(0, Math.min(1, (db - floorDb) / -floorDb));
+    }
+
+    root.ValtoriAudioMeter = { AudioMeter, meterScale, CLIP_LEVEL };
+})(window);
@@ -0,0 +1,97 @@
+// ===================
+// VALTORI AUTH
+// ===================
+// Sign-in plumbing shared by every page: the redirect to signin.html when
+// there's no session (remembering where the user was headed), magic links
+// and password emails that land back on the right page, sign-out, and
+// reacting to a session that ends or refreshes in another tab.
+
+(function (root) {
+    const SIGN_IN_PAGE = 'signin.html';
+    const PASSWORD_PAGE = 'password.html';
+    const DEFAULT_NEXT = 'call.html';
+
+    function pageUrl(page, params) {
+        const url = new URL(page, root.location.href);
+        Object.entries(params || {}).forEach(([key, value]) => {
+            if (value) url.searchParams.set(key, value);
+        });
+        return url.toString();
+    }
+
+    // Only same-site relative paths, so ?next= can't bounce users to another origin
+    function nextPage() {
+        const next = new URLSearchParams(root.location.search).get('next');
+        if (!next || !/^[a-z0-9-]+\.html([?#].*)?$/i.test(next)) return DEFAULT_NEXT;
+        return next;
+    }
+
+    function currentPage() {
+        return root.location.pathname.split('/').pop() + root.location.search;
+    }
+
+    function redirectToSignIn() {
+        root.location.href = pageUrl(SIGN_IN_PAGE, { next: currentPage() });
+    }
+
+    // The session, or null after sending the user to sign in and back here afterwards
+    async function requireSession(supabase) {
+        const { data: { session } } = await supabase.auth.getSession();
+        if (!session) {
+            redirectToSignIn();
+            return null;
+        }
+        return session;
+    }
+
+    // Creates the account on first use. The link opens signin.html, which forwards to next.
+    function sendMagicLink(supabase, email, { next = DEFAULT_NEXT, fullName = null } = {}) {
+        return supabase.auth.signInWithOtp({
+            email,
+            options: {
+                emailRedirectTo: pageUrl(SIGN_IN_PAGE, { next }),
+                ...(fullName ? { data: { full_name: fullName } } : {})
+            }
+        });
+    }
+
+    function sendPasswordReset(supabase, email) {
+        return supabase.auth.resetPasswordForEmail(email, {
+            redirectTo: pageUrl(PASSWORD_PAGE, { mode: 'reset' })
+        });
+    }
+
+    async function signOut(supabase) {
+        const { error } = await supabase.auth.signOut();
+        if (error) console.error('Error signing out:', error);
+        root.location.href = SIGN_IN_PAGE;
+    }
+
+    // onSignedOut defaults to the sign-in redirect; call.html overrides it mid-call.
+    // supabase-js refreshes the token on its own timer, which browsers throttle in
+    // background tabs, so catch up as soon as the tab is visible again.
+    function watchSession(supabase, { onSignedOut = redirectToSignIn } = {}) {
+        supabase.auth.onAuthStateChange((event) => {
+            if (event === 'SIGNED_OUT') onSignedOut();
+            if (event === 'TOKEN_REFRESHED') console.log('🔑 Session refreshed');
+        });
+
+        root.document.addEventListener('visibilitychange', () => {
+            if (root.document.visibilityState === 'visible') {
+                supabase.auth.getSession();
+            }
+        });
+    }
+
+    root.ValtoriAuth = {
+        SIGN_IN_PAGE,
+        PASSWORD_PAGE,
+        nextPage,
+        redirectToSignIn,
+        requireSession,
+        sendMagicLink,
+        sendPasswordReset,
+        signOut,
+        watchSession
+    };
+})(window);
@@ -0,0 +1,46 @@
+// ===================
+// VALTORI CAPTURE WORKLET
+// ===================
+// AudioWorklet processor for the rep's microphone. Runs at the context's
+// native rate, resamples to processorOptions.targetRate and posts fixed-size
+// PCM16 packets of processorOptions.packetSamples to the main thread.
+// js/resampler.js must be added to the worklet before this module.
+
+class CaptureProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        const { targetRate, packetSamples } = options.processorOptions;
+
+        // sampleRate is the AudioWorkletGlobalScope's context rate
+        this.resampler = new ValtoriResampler.StreamResampler(sampleRate, targetRate);
+        this.batcher = new ValtoriResampler.PacketBatcher(packetSamples);
+    }
+
+    process(inputs) {
+        const input = inputs[0];
+        if (input.length > 0) {
+            const packets = this.batcher.push(this.resampler.process(input[0]));
+
+            packets.forEach(packet => {
+                let sumSquares = 0;
+                let peak = 0;
+                for (let i = 0; i < packet.length; i++) {
+                    sumSquares += packet[i] * packet[i];
+                    peak = Math.max(peak, Math.abs(packet[i]));
+                }
+
+                // Levels ride along with the PCM for the voice analytics
+                const pcm = ValtoriResampler.floatToPcm16(packet);
+                this.port.postMessage({
+                    audio: pcm.buffer,
+                    samples: packet.length,
+                    rms: Math.sqrt(sumSquares / packet.length),
+                    peak
+                }, [pcm.buffer]);
+            });
+        }
+        return true;
+    }
+}
+
+registerProcessor('audio-processor', CaptureProcessor);
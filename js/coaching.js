@@ -0,0 +1,109 @@
+// ===================
+// VALTORI LIVE COACHING
+// ===================
+// Watches the transcript during a call and raises short hints: rambling,
+// no discovery questions, talking too fast and filler-word streaks.
+// call.html calls coach.review() after every transcript turn and once a
+// second while the rep is speaking. Needs js/scoring.js loaded first.
+
+(function (root) {
+    const Scoring = typeof module !== 'undefined' && module.exports
+        ? require('./scoring.js')
+        : root.ValtoriScoring;
+
+    const MONOLOGUE_WORDS = 60;
+    const MONOLOGUE_SPEAKING_MS = 40000; // Flagged live, before the transcript arrives
+    const DISCOVERY_TURNS = 3;
+    const FAST_WPM = 185;
+    const FAST_MIN_WORDS = 15;
+    const FILLER_STREAK = 3; // Fillers across the last two rep turns
+    const COOLDOWN_MS = 30000; // Per rule, so the same hint doesn't nag
+
+    function wordsPerMinute(message) {
+        if (!message.startedAt || !message.endedAt || message.endedAt <= message.startedAt) return null;
+        return Math.round(Scoring.countWords(message.text) / ((message.endedAt - message.startedAt) / 60000));
+    }
+
+    // Each rule returns hint text, or null when there's nothing to say
+    const RULES = [
+        {
+            id: 'monologue',
+            check({ lastRep, speakingMs }) {
+                if (speakingMs >= MONOLOGUE_SPEAKING_MS) {
+                    return `You've been talking for ${Math.round(speakingMs / 1000)}s. Pause and let them in.`;
+                }
+                const words = lastRep ? Scoring.countWords(lastRep.text) : 0;
+                return words >= MONOLOGUE_WORDS
+                    ? `That was ${words} words in one go. Keep answers short and hand it back with a question.`
+                    : null;
+            }
+        },
+        {
+            id: 'discovery',
+            check({ repTurns }) {
+                if (repTurns.length < DISCOVERY_TURNS) return null;
+                const asked = repTurns.some(m => m.text.includes('?'));
+                return asked ? null : 'No discovery questions yet. Ask how they handle this today.';
+            }
+        },
+        {
+            id: 'pace',
+            check({ lastRep }) {
+                if (!lastRep || Scoring.countWords(lastRep.text) < FAST_MIN_WORDS) return null;
+                const wpm = wordsPerMinute(lastRep);
+                return wpm && wpm > FAST_WPM ? `You're at ${wpm} words a minute. Slow down.` : null;
+            }
+        },
+        {
+            id: 'fillers',
+            check({ repTurns }) {
+                const recent = repTurns.slice(-2).map(m => m.text).join(' ');
+                const fillers = Scoring.countFillers(recent);
+                if (fillers.total < FILLER_STREAK) return null;
+
+                const [word] = Object.entries(fillers.byWord).sort((a, b) => b[1] - a[1])[0];
+                return `${fillers.total} filler words in your last answers (mostly "${word}"). Pause instead.`;
+            }
+        }
+    ];
+
+    class LiveCoach {
+        constructor() {
+            this.lastShown = {}; // rule id -> time it last fired
+            this.reviewedRepTurns = 0;
+            this.history = []; // Every hint shown: { rule, text, at }
+        }
+
+        // Returns the hints to show now. speakingMs is how long the rep has been talking in the current turn.
+        review(messages, { speakingMs = 0, now = Date.now() } = {}) {
+            const repTurns = (messages || []).filter(m => m && m.text && m.speaker === 'user');
+            const newTurn = repTurns.length > this.reviewedRepTurns;
+            this.reviewedRepTurns = repTurns.length;
+
+            // Transcript rules only run when a new rep turn lands; the live monologue check runs any time
+            const context = { repTurns, lastRep: newTurn ? repTurns[repTurns.length - 1] : null, speakingMs };
+            const rules = newTurn ? RULES : RULES.filter(rule => rule.id === 'monologue');
+
+            const hints = [];
+            rules.forEach(rule => {
+                if (now - (this.lastShown[rule.id] || -Infinity) < COOLDOWN_MS) return;
+                const text = rule.check(context);
+                if (!text) return;
+
+                this.lastShown[rule.id] = now;
+                const hint = { rule: rule.id, text, at: now };
+                this.history.push(hint);
+                hints.push(hint);
+            });
+            return hints;
+        }
+    }
+
+    const ValtoriCoaching = { RULES, LiveCoach };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ValtoriCoaching;
+    } else {
+        root.ValtoriCoaching = ValtoriCoaching;
+    }
+})(typeof window !== 'undefined' ? window : this);
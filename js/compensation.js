@@ -0,0 +1,87 @@
+// ===================
+// VALTORI COMPENSATION MODEL
+// ===================
+// Turns a closed practice call into deal value and commission, and totals
+// sessions into a running "practice pipeline" against quota.
+// A team's settings (organizations.commission_rate, monthly_quota and
+// deal_values, keyed by scenario id) override the scenario's own dealValue,
+// which overrides DEFAULTS.
+// Works in the browser (window.ValtoriCompensation) and in Node (module.exports).
+
+(function (root) {
+    const DEFAULTS = {
+        dealValue: 12750,
+        commissionRate: 0.10,
+        monthlyQuota: 150000
+    };
+
+    // 0 is a real setting (no commission, no quota); null, blanks and negatives mean unset
+    function nonNegative(value) {
+        const number = Number(value);
+        return value !== null && value !== undefined && value !== '' && isFinite(number) && number >= 0 ? number : null;
+    }
+
+    // teamSettings is the organizations row (or null for reps without a team)
+    function resolvePlan(scenario, teamSettings) {
+        const team = teamSettings || {};
+        const teamDealValues = team.deal_values || {};
+        const scenarioId = scenario ? scenario.id : null;
+
+        const teamDealValue = scenarioId ? nonNegative(teamDealValues[scenarioId]) : null;
+        const scenarioDealValue = scenario ? nonNegative(scenario.dealValue) : null;
+        const commissionRate = nonNegative(team.commission_rate);
+        const monthlyQuota = nonNegative(team.monthly_quota);
+
+        return {
+            dealValue: teamDealValue ?? scenarioDealValue ?? DEFAULTS.dealValue,
+            commissionRate: commissionRate ?? DEFAULTS.commissionRate,
+            monthlyQuota: monthlyQuota ?? DEFAULTS.monthlyQuota
+        };
+    }
+
+    // What a call is worth under a plan; nothing unless the deal closed
+    function payout(plan, closed) {
+        if (!closed) return { dealValue: 0, commission: 0 };
+        return {
+            dealValue: Math.round(plan.dealValue),
+            commission: Math.round(plan.dealValue * plan.commissionRate * 100) / 100
+        };
+    }
+
+    function startOfMonth(date) {
+        const d = date ? new Date(date) : new Date();
+        return new Date(d.getFullYear(), d.getMonth(), 1);
+    }
+
+    // Totals call_sessions rows (deal_value, commission, sale_closed) into a pipeline
+    function pipeline(rows, monthlyQuota) {
+        const closedRows = (rows || []).filter(row => row.sale_closed);
+        const closedValue = closedRows.reduce((sum, row) => sum + (Number(row.deal_value) || 0), 0);
+        const commission = closedRows.reduce((sum, row) => sum + (Number(row.commission) || 0), 0);
+        const quota = nonNegative(monthlyQuota) ?? DEFAULTS.monthlyQuota;
+
+        return {
+            deals: closedRows.length,
+            closedValue,
+            commission: Math.round(commission * 100) / 100,
+            quota,
+            attainment: quota ? Math.round(closedValue / quota * 100) : 0
+        };
+    }
+
+    function formatMoney(amount) {
+        const value = Number(amount) || 0;
+        return '$' + value.toLocaleString(undefined, {
+            minimumFractionDigits: Number.isInteger(value) ? 0 : 2,
+            maximumFractionDigits: 2
+        });
+    }
+
+    const ValtoriCompensation = { DEFAULTS, resolvePlan, payout, pipeline, startOfMonth, formatMoney };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ValtoriCompensation;
+    } else {
+        root.ValtoriCompensation = ValtoriCompensation;
+    }
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,97 @@
+// ===================
+// VALTORI CALL DEBRIEF
+// ===================
+// Shared pieces of the post-call debrief chat on results.html. api/server.js
+// builds the coach's context from the saved session; the page turns the
+// coach's "Rewrite #n:" lines into retry buttons that reopen call.html at
+// that moment. Transcript turns are numbered from 1, counting only turns
+// with text, the same way results.html lists them.
+
+(function (root) {
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const Scenarios = isNode ? require('./scenarios.js') : root.ValtoriScenarios;
+
+    const MAX_HISTORY = 20; // Chat messages sent per request, oldest dropped first
+    const MAX_QUESTION_CHARS = 2000;
+    const MAX_REPLY_CHARS = 8000; // Coach replies are cut to this before they're sent back
+    const REWRITE_LINE = /^\s*Rewrite #(\d+):\s*(.+?)\s*$/i;
+
+    const SYSTEM_PROMPT = `You are a sales coach debriefing a rep right after a practice cold call with an AI prospect.
+You have the full transcript, the scores and the objection grades below. Answer the rep's questions about this call specifically: quote what was actually said, refer to turns by their #number, and keep answers short and practical.
+When you suggest a better version of one of the rep's lines, put it on its own line in exactly this form, one per line, with nothing else on the line:
+Rewrite #<turn number>: <the line the rep could have said>
+Only rewrite lines spoken by the rep. If the transcript doesn't cover what the rep asks about, say so instead of guessing.`;
+
+    function textTurns(messages) {
+        return (messages || []).filter(m => m && m.text);
+    }
+
+    // Plain-text briefing for the model; data is the ValtoriSessions.fromRow shape
+    function buildContext(data) {
+        const scenario = data.scenarioId ? Scenarios.getScenario(data.scenarioId) : null;
+        const scores = data.scores || {};
+        const lines = [];
+
+        lines.push(scenario
+            ? `Scenario: ${scenario.name}. Prospect: ${scenario.persona.name}, ${scenario.persona.title} (${scenario.industry}). Rep is selling ${scenario.product}. Difficulty: ${scenario.difficulty}.`
+            : 'Scenario: general cold call.');
+        if (data.drillObjection) lines.push(`This was a drill on the "${data.drillObjection}" objection.`);
+        lines.push(`Outcome: ${data.closed ? 'the rep closed a next step' : 'no close'}. Duration: ${data.duration || 0}s.`);
+        lines.push(`Scores (0-100): overall ${scores.overall}, confidence ${scores.confidence}, clarity ${scores.clarity}, pacing ${scores.pacing}. Filler words: ${scores.fillers}.`);
+
+        (data.objectionResults || []).forEach(result => {
+            lines.push(!result.raised
+                ? `Objection "${result.label}": not raised.`
+                : `Objection "${result.label}": ${result.handled ? 'handled' : 'missed'}, score ${result.score}. Criteria: ${result.criteria.map(c => `${c.label} ${c.met ? 'met' : 'missed'}`).join('; ')}.`);
+        });
+
+        lines.push('', 'Transcript:');
+        textTurns(data.messages).forEach((message, index) => {
+            lines.push(`#${index + 1} ${message.speaker === 'user' ? 'Rep' : 'Prospect'}: ${message.text}${message.interrupted ? ' [cut off]' : ''}${message.seeded ? ' [from the call this one retried]' : ''}`);
+        });
+
+        return lines.join('\n');
+    }
+
+    // Keeps the last MAX_HISTORY messages, starting on a rep question as the API requires
+    function trimHistory(history) {
+        const recent = (history || []).slice(-MAX_HISTORY);
+        while (recent.length && recent[0].role !== 'user') recent.shift();
+        return recent;
+    }
+
+    // Splits a coach reply into text and rewrite parts, in order
+    function parseReply(text) {
+        return String(text || '').split('\n').map(line => {
+            const match = line.match(REWRITE_LINE);
+            return match
+                ? { type: 'rewrite', turn: Number(match[1]), text: match[2].replace(/^"(.*)"$/, '$1') }
+                : { type: 'text', text: line };
+        });
+    }
+
+    // call.html reopens the session with the turns before `turn` already said
+    function retryUrl(sessionId, turn, suggestion) {
+        const params = new URLSearchParams({ retry: sessionId, turn: String(turn) });
+        if (suggestion) params.set('try', suggestion);
+        return `call.html?${params}`;
+    }
+
+    const ValtoriDebrief = {
+        MAX_HISTORY,
+        MAX_QUESTION_CHARS,
+        MAX_REPLY_CHARS,
+        SYSTEM_PROMPT,
+        textTurns,
+        buildContext,
+        trimHistory,
+        parseReply,
+        retryUrl
+    };
+
+    if (isNode) {
+        module.exports = ValtoriDebrief;
+    } else {
+        root.ValtoriDebrief = ValtoriDebrief;
+    }
+})(typeof window !== 'undefined' ? window : this);
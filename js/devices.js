@@ -0,0 +1,113 @@
+// ===================
+// VALTORI AUDIO DEVICES
+// ===================
+// Microphone/speaker selection for call.html: listing devices, opening a
+// specific mic, routing an AudioContext to a chosen speaker, and turning
+// getUserMedia failures into messages a rep can act on.
+
+(function (root) {
+    const STORAGE_KEYS = { audioinput: 'valtoriMicDeviceId', audiooutput: 'valtoriSpeakerDeviceId' };
+
+    // Same processing the call has always used; deviceId null means the browser default
+    function micConstraints(deviceId) {
+        return {
+            audio: {
+                ...(deviceId ? { deviceId: { exact: deviceId } } : {}),
+                channelCount: 1,
+                echoCancellation: true,
+                noiseSuppression: true
+            }
+        };
+    }
+
+    function openMicrophone(deviceId) {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+            const error = new Error('This browser cannot access a microphone.');
+            error.name = 'NotSupportedError';
+            return Promise.reject(error);
+        }
+        return navigator.mediaDevices.getUserMedia(micConstraints(deviceId));
+    }
+
+    // kind is 'audioinput' or 'audiooutput'. Labels are blank until mic permission is granted.
+    async function listDevices(kind) {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return [];
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return devices
+            .filter(device => device.kind === kind)
+            .map((device, index) => ({
+                deviceId: device.deviceId,
+                label: device.label || `${kind === 'audioinput' ? 'Microphone' : 'Speaker'} ${index + 1}`
+            }));
+    }
+
+    // Output selection needs AudioContext.setSinkId (Chrome and Edge today)
+    function supportsOutputSelection() {
+        const Context = root.AudioContext || root.webkitAudioContext;
+        return !!(Context && typeof Context.prototype.setSinkId === 'function');
+    }
+
+    async function setOutputDevice(audioContext, deviceId) {
+        if (!supportsOutputSelection() || !audioContext) return false;
+        await audioContext.setSinkId(deviceId || '');
+        return true;
+    }
+
+    function savedDevice(kind) {
+        return localStorage.getItem(STORAGE_KEYS[kind]) || null;
+    }
+
+    function saveDevice(kind, deviceId) {
+        if (deviceId) {
+            localStorage.setItem(STORAGE_KEYS[kind], deviceId);
+        } else {
+            localStorage.removeItem(STORAGE_KEYS[kind]);
+        }
+    }
+
+    // { kind, message } for a getUserMedia/setSinkId failure. kind is 'permission',
+    // 'missing', 'busy' or 'unsupported', so callers can decide what to offer next.
+    function describeMediaError(error) {
+        const name = error && error.name;
+
+        if (name === 'NotAllowedError' || name === 'PermissionDeniedError' || name === 'SecurityError') {
+            return {
+                kind: 'permission',
+                message: 'Microphone access is blocked. Click the lock or mic icon in your address bar, allow the microphone for this site, then try again.'
+            };
+        }
+        if (name === 'NotFoundError' || name === 'DevicesNotFoundError' || name === 'OverconstrainedError') {
+            return {
+                kind: 'missing',
+                message: 'No microphone was found, or the one you picked is unplugged. Connect a mic or choose another device.'
+            };
+        }
+        if (name === 'NotReadableError' || name === 'TrackStartError' || name === 'AbortError') {
+            return {
+                kind: 'busy',
+                message: 'Your microphone is in use by another app (like Zoom or Teams) or the system blocked it. Close that app and try again.'
+            };
+        }
+        if (name === 'NotSupportedError' || name === 'TypeError') {
+            return {
+                kind: 'unsupported',
+                message: 'This browser can\'t record audio here. Use a recent Chrome, Edge, Safari or Firefox over https.'
+            };
+        }
+        return {
+            kind: 'unknown',
+            message: `The microphone could not be started${error && error.message ? `: ${error.message}` : '.'}`
+        };
+    }
+
+    root.ValtoriDevices = {
+        micConstraints,
+        openMicrophone,
+        listDevices,
+        supportsOutputSelection,
+        setOutputDevice,
+        savedDevice,
+        saveDevice,
+        describeMediaError
+    };
+})(window);
@@ -0,0 +1,142 @@
+// ===================
+// VALTORI CALL FEEDBACK
+// ===================
+// Builds the "What Worked" / "Areas to Improve" lists on results.html.
+// Every item quotes the transcript line it is about, so coaching points at
+// what the rep actually said. Needs js/scoring.js loaded first.
+
+(function (root) {
+    const Scoring = typeof module !== 'undefined' && module.exports
+        ? require('./scoring.js')
+        : root.ValtoriScoring;
+
+    const QUOTE_LENGTH = 160;
+    const MONOLOGUE_WORDS = 60;
+    const OPEN_QUESTION = /^\s*(what|how|why|tell me|walk me|can you tell|could you walk)\b/i;
+
+    function quote(text) {
+        const clean = String(text || '').trim().replace(/\s+/g, ' ');
+        return clean.length > QUOTE_LENGTH ? clean.slice(0, QUOTE_LENGTH - 1).trimEnd() + '…' : clean;
+    }
+
+    function plural(count, word) {
+        return `${count} ${word}${count === 1 ? '' : 's'}`;
+    }
+
+    function questionsIn(text) {
+        return (String(text).match(/[^.!?]*\?/g) || []).map(q => q.trim());
+    }
+
+    function buildBreakdown(messages) {
+        const turns = (messages || []).filter(m => m && m.text);
+        const repTurns = turns.filter(m => m.speaker === 'user');
+        const metrics = Scoring.analyzeTranscript(turns);
+
+        const strengths = [];
+        const improvements = [];
+
+        if (repTurns.length === 0) {
+            improvements.push({
+                icon: '💡',
+                text: 'None of your speech was captured, so there is nothing to coach yet. Check your mic and try again.'
+            });
+            return { strengths, improvements };
+        }
+
+        // Opening
+        const opener = repTurns[0];
+        const openerWords = Scoring.countWords(opener.text);
+        if (openerWords <= 40 && Scoring.countFillers(opener.text).total === 0) {
+            strengths.push({ icon: '✅', text: `Tight, clean opening in ${openerWords} words:`, quote: quote(opener.text) });
+        } else if (openerWords > 40) {
+            improvements.push({ icon: '💡', text: `Your opening ran ${openerWords} words. Get to the reason for the call faster:`, quote: quote(opener.text) });
+        }
+
+        // Filler words
+        const fillerEntries = Object.entries(metrics.fillers.byWord).sort((a, b) => b[1] - a[1]);
+        if (metrics.fillers.total >= 3 && fillerEntries.length) {
+            const [word, count] = fillerEntries[0];
+            const worstLine = repTurns
+                .map(m => ({ text: m.text, count: Scoring.countFillers(m.text).byWord[word] || 0 }))
+                .sort((a, b) => b.count - a.count)[0];
+            improvements.push({
+                icon: '💡',
+                text: `You said '${word}' ${plural(count, 'time')} (${plural(metrics.fillers.total, 'filler word')} in total). Worst stretch:`,
+                quote: quote(worstLine.text)
+            });
+        } else if (metrics.repWords >= 50 && metrics.fillers.total <= 1) {
+            strengths.push({
+                icon: '✅',
+                text: `Clean delivery: only ${plural(metrics.fillers.total, 'filler word')} across ${metrics.repWords} words. For example:`,
+                quote: quote(repTurns.reduce((a, b) => (Scoring.countWords(b.text) > Scoring.countWords(a.text) ? b : a)).text)
+            });
+        }
+
+        // Discovery questions
+        const questions = repTurns.reduce((all, m) => all.concat(questionsIn(m.text)), []);
+        const openQuestion = questions.find(q => OPEN_QUESTION.test(q));
+        if (questions.length >= 2) {
+            strengths.push({
+                icon: '✅',
+                text: `You asked ${plural(questions.length, 'question')} to uncover needs${openQuestion ? ', including an open one' : ''}:`,
+                quote: quote(openQuestion || questions[0])
+            });
+        } else if (questions.length === 1) {
+            improvements.push({ icon: '💡', text: 'You asked only one question. Dig deeper before pitching. Your only question was:', quote: quote(questions[0]) });
+        } else {
+            improvements.push({ icon: '💡', text: 'You never asked a discovery question. You went straight from:', quote: quote(opener.text) });
+        }
+
+        // Monologues
+        const longest = repTurns.reduce((a, b) => (Scoring.countWords(b.text) > Scoring.countWords(a.text) ? b : a));
+        const longestWords = Scoring.countWords(longest.text);
+        if (longestWords > MONOLOGUE_WORDS && longest !== opener) {
+            improvements.push({ icon: '💡', text: `You talked for ${longestWords} words without letting the prospect in:`, quote: quote(longest.text) });
+        }
+
+        // Closing
+        const { close } = metrics;
+        const acceptedAttempt = close.attempts.find(attempt => attempt.accepted);
+        if (acceptedAttempt) {
+            strengths.push({
+                icon: '✅',
+                text: `You asked for the next step and got it. The prospect replied "${quote(acceptedAttempt.reply)}" to:`,
+                quote: quote(acceptedAttempt.text)
+            });
+        } else if (close.attempted) {
+            const lastAttempt = close.attempts[close.attempts.length - 1];
+            strengths.push({ icon: '✅', text: 'You asked for the business:', quote: quote(lastAttempt.text) });
+            improvements.push({
+                icon: '💡',
+                text: lastAttempt.reply
+                    ? `Your close didn't land. The prospect answered "${quote(lastAttempt.reply)}" to:`
+                    : 'The call ended before the prospect answered your close:',
+                quote: quote(lastAttempt.text)
+            });
+        } else {
+            improvements.push({
+                icon: '💡',
+                text: 'You never asked for a next step. Your last line was:',
+                quote: quote(repTurns[repTurns.length - 1].text)
+            });
+        }
+
+        // Hedging
+        const hedgiest = repTurns
+            .map(m => ({ text: m.text, count: Scoring.countHedges(m.text) }))
+            .sort((a, b) => b.count - a.count)[0];
+        if (hedgiest.count >= 2) {
+            improvements.push({ icon: '💡', text: 'Hedging words made you sound unsure here:', quote: quote(hedgiest.text) });
+        }
+
+        return { strengths, improvements };
+    }
+
+    const ValtoriFeedback = { buildBreakdown };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ValtoriFeedback;
+    } else {
+        root.ValtoriFeedback = ValtoriFeedback;
+    }
+})(typeof window !== 'undefined' ? window : this);
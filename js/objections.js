@@ -0,0 +1,242 @@
+// ===================
+// VALTORI OBJECTION LIBRARY
+// ===================
+// The objections a prospect can raise, each with the line the AI uses, tags for
+// grouping, and a rubric the rep's reply is graded against. Scenario objection
+// lists (js/scenarios.js) and drill mode on call.html both use these ids.
+// Works in the browser (window.ValtoriObjections) and in Node (module.exports).
+
+(function (root) {
+    // A reply this good or better counts as handled
+    const HANDLED_SCORE = 60;
+
+    const ACKNOWLEDGE = {
+        id: 'acknowledge',
+        label: 'Acknowledged the objection instead of arguing',
+        weight: 1,
+        patterns: [/\b(totally|completely|fair (enough|point)|makes sense|i (hear|understand|get) (you|that|it)|i appreciate|no problem|that'?s fair|of course)\b/i]
+    };
+
+    const ASK_QUESTION = {
+        id: 'question',
+        label: 'Kept the conversation going with a question',
+        weight: 1,
+        patterns: [/\?/]
+    };
+
+    const OBJECTIONS = [
+        {
+            id: 'not interested',
+            label: 'Not interested',
+            tags: ['brush-off', 'opening'],
+            prospectLine: 'Look, I\'m really not interested. We get these calls all the time.',
+            triggers: [/\bnot interested\b/i, /\bno thanks\b/i, /\bnot for us\b/i],
+            tip: 'Acknowledge it, give one concrete reason to keep listening, then ask a short question.',
+            rubric: [
+                ACKNOWLEDGE,
+                {
+                    id: 'value',
+                    label: 'Gave a concrete reason to keep listening',
+                    weight: 2,
+                    patterns: [/\b(save|saves|saving|cut|reduce|increase|grow|help(ed|s)?|without)\b/i, /\d+\s*(%|percent|hours?|days?|minutes?)/i]
+                },
+                {
+                    id: 'permission',
+                    label: 'Asked for a small amount of time',
+                    weight: 1,
+                    patterns: [/\b(\d+|thirty|sixty|two|one) (seconds?|minutes?)\b/i, /\bquick question\b/i, /\bbefore (i|you) (go|hang up)\b/i]
+                },
+                ASK_QUESTION
+            ]
+        },
+        {
+            id: 'send me an email',
+            label: 'Send me an email',
+            tags: ['brush-off', 'stall'],
+            prospectLine: 'Can you just send me an email? I\'ll take a look when I get a chance.',
+            triggers: [/\b(send|shoot|drop) me an? (email|e-mail|note|info)\b/i, /\bemail me\b/i],
+            tip: 'Agree, then qualify what to send so the email is worth opening, and lock in a follow-up.',
+            rubric: [
+                ACKNOWLEDGE,
+                {
+                    id: 'qualify',
+                    label: 'Asked what would make the email relevant',
+                    weight: 2,
+                    patterns: [/\bwhat (would|should|do you|is)\b.*\b(most|useful|relevant|important|care|priority|priorities)\b/i, /\bso (i|that i) (can|know)\b/i]
+                },
+                {
+                    id: 'next-step',
+                    label: 'Secured a follow-up',
+                    weight: 1,
+                    patterns: [/\b(follow[- ]up|calendar|book|schedule|(monday|tuesday|wednesday|thursday|friday|tomorrow|next week))\b/i]
+                },
+                ASK_QUESTION
+            ]
+        },
+        {
+            id: 'we already have a vendor',
+            label: 'We already have a vendor',
+            tags: ['competition', 'status quo'],
+            prospectLine: 'We already have a vendor for that, and honestly they\'re fine.',
+            triggers: [/\balready (have|use|work with|using)\b/i, /\b(current|existing) (vendor|provider|solution|tool)\b/i],
+            tip: 'Get curious about the current setup before you pitch, then position against its gaps.',
+            rubric: [
+                ACKNOWLEDGE,
+                {
+                    id: 'curiosity',
+                    label: 'Asked about the current vendor or setup',
+                    weight: 2,
+                    patterns: [/\b(who|what|how)\b[^?]*\b(use|using|working with|current|today|like about|happy|set ?up)\b[^?]*\?/i]
+                },
+                {
+                    id: 'differentiate',
+                    label: 'Explained what is different',
+                    weight: 1,
+                    patterns: [/\b(unlike|different|differently|compared|on top of|alongside|complement|switch(ed)?|where (they|it) falls short)\b/i]
+                },
+                ASK_QUESTION
+            ]
+        },
+        {
+            id: 'bad timing',
+            label: 'Bad timing',
+            tags: ['timing', 'stall'],
+            prospectLine: 'This is really bad timing. We\'re slammed this quarter.',
+            triggers: [/\b(bad|not a good|wrong) (time|timing)\b/i, /\b(slammed|swamped|too busy|busy right now)\b/i],
+            tip: 'Respect the timing, tie your offer to what is keeping them busy, and agree on a better time.',
+            rubric: [
+                ACKNOWLEDGE,
+                {
+                    id: 'relevance',
+                    label: 'Tied the offer to what is keeping them busy',
+                    weight: 2,
+                    patterns: [/\b(this quarter|busy|slammed|workload|priorit\w*|save (you|your team)|free up|take (work|things) off)\b/i]
+                },
+                {
+                    id: 'reschedule',
+                    label: 'Proposed a better time',
+                    weight: 1,
+                    patterns: [/\b(when|better time|call (you )?back|later (this|next)|next (week|month|quarter)|(monday|tuesday|wednesday|thursday|friday))\b/i]
+                },
+                ASK_QUESTION
+            ]
+        },
+        {
+            id: 'too expensive',
+            label: 'Too expensive',
+            tags: ['price', 'budget'],
+            prospectLine: 'How much is this going to cost? We don\'t have budget for anything new.',
+            triggers: [/\b(too expensive|how much|cost|price|pricing|no budget|don'?t have (the )?budget|can'?t afford)\b/i],
+            tip: 'Don\'t drop the price. Reframe around the cost of the problem and find out how budget gets decided.',
+            rubric: [
+                ACKNOWLEDGE,
+                {
+                    id: 'reframe',
+                    label: 'Reframed around value or ROI',
+                    weight: 2,
+                    patterns: [/\b(roi|return|pays? for itself|saves?|saving|cost of (the problem|doing nothing|not)|invest(ment)?|worth)\b/i]
+                },
+                {
+                    id: 'budget',
+                    label: 'Asked how budget is set or what they spend today',
+                    weight: 1,
+                    patterns: [/\b(budget|spend(ing)?|paying|compared to|sign[- ]off|approve)\b[^?]*\?/i]
+                },
+                ASK_QUESTION
+            ]
+        }
+    ];
+
+    function getObjection(id) {
+        return OBJECTIONS.find(objection => objection.id === id) || null;
+    }
+
+    function matchesAny(patterns, text) {
+        return patterns.some(pattern => pattern.test(text));
+    }
+
+    // Grades the rep's reply to one objection against its rubric
+    function gradeResponse(objectionId, responseText) {
+        const objection = getObjection(objectionId);
+        if (!objection) return null;
+
+        const text = String(responseText || '');
+        const criteria = objection.rubric.map(item => ({
+            id: item.id,
+            label: item.label,
+            met: text.trim().length > 0 && matchesAny(item.patterns, text)
+        }));
+
+        const total = objection.rubric.reduce((sum, item) => sum + item.weight, 0);
+        const earned = objection.rubric.reduce((sum, item, i) => sum + (criteria[i].met ? item.weight : 0), 0);
+        const score = Math.round(earned / total * 100);
+
+        return { score, handled: score >= HANDLED_SCORE, criteria };
+    }
+
+    // Finds where the prospect raised each objection and grades the rep's next turn(s).
+    // Objections that never came up are returned with raised: false and no score.
+    function gradeCall(messages, objectionIds) {
+        const turns = (messages || []).filter(m => m && m.text);
+
+        return (objectionIds || []).map(getObjection).filter(Boolean).map(objection => {
+            const index = turns.findIndex(m => m.speaker === 'ai' && matchesAny(objection.triggers, m.text));
+            const base = { objection: objection.id, label: objection.label };
+
+            if (index === -1) {
+                return Object.assign(base, { raised: false, prospectLine: null, response: null, score: null, handled: false, criteria: [] });
+            }
+
+            // Everything the rep said before the prospect's next turn
+            const reply = [];
+            for (let i = index + 1; i < turns.length && turns[i].speaker !== 'ai'; i++) {
+                reply.push(turns[i].text);
+            }
+            const response = reply.join(' ').trim();
+
+            return Object.assign(base, {
+                raised: true,
+                prospectLine: turns[index].text,
+                response: response || null
+            }, gradeResponse(objection.id, response));
+        });
+    }
+
+    // Rolls graded attempts from many sessions (each an objection_results array) into
+    // per-objection stats, weakest first, for picking what to drill next
+    function summarize(resultLists) {
+        const byObjection = {};
+
+        (resultLists || []).forEach(results => (results || []).forEach(result => {
+            if (!result.raised || result.score === null) return;
+            const entry = byObjection[result.objection] || (byObjection[result.objection] = {
+                objection: result.objection,
+                label: result.label,
+                attempts: 0,
+                handled: 0,
+                totalScore: 0
+            });
+            entry.attempts++;
+            entry.handled += result.handled ? 1 : 0;
+            entry.totalScore += result.score;
+        }));
+
+        return Object.values(byObjection)
+            .map(entry => ({
+                objection: entry.objection,
+                label: entry.label,
+                attempts: entry.attempts,
+                handleRate: Math.round(entry.handled / entry.attempts * 100),
+                avgScore: Math.round(entry.totalScore / entry.attempts)
+            }))
+            .sort((a, b) => a.avgScore - b.avgScore);
+    }
+
+    const ValtoriObjections = { HANDLED_SCORE, OBJECTIONS, getObjection, gradeResponse, gradeCall, summarize };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ValtoriObjections;
+    } else {
+        root.ValtoriObjections = ValtoriObjections;
+    }
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,243 @@
+// ===================
+// VALTORI STREAMING PLAYBACK
+// ===================
+// Plays the prospect's PCM16 audio deltas gaplessly. Chunks are scheduled back
+// to back on the AudioContext timeline behind a small jitter buffer, with short
+// fades wherever the audio starts or stops so there are no clicks.
+
+(function (root) {
+    const DEFAULTS = {
+        sampleRate: 24000, // Protocol rate; the browser resamples to the context rate
+        jitterMs: 80, // Audio held back before (re)starting playback
+        fadeMs: 4,
+        scheduleLeadMs: 15 // Safety margin between "now" and the first scheduled chunk
+    };
+
+    function decodePcm16(base64Audio) {
+        const binaryString = atob(base64Audio);
+        const bytes = new Uint8Array(binaryString.length);
+        for (let i = 0; i < binaryString.length; i++) {
+            bytes[i] = binaryString.charCodeAt(i);
+        }
+
+        const int16Array = new Int16Array(bytes.buffer, 0, Math.floor(bytes.length / 2));
+        const float32Array = new Float32Array(int16Array.length);
+        for (let i = 0; i < int16Array.length; i++) {
+            float32Array[i] = int16Array[i] / 32768;
+        }
+        return float32Array;
+    }
+
+    class StreamingPlayer {
+        constructor(audioContext, options = {}) {
+            this.ctx = audioContext;
+            this.options = Object.assign({}, DEFAULTS, options);
+            this.output = audioContext.createGain();
+            this.output.connect(options.destination || audioContext.destination);
+
+            this.pending = []; // Buffers held in the jitter buffer
+            this.pendingMs = 0;
+            this.primeTimer = null;
+            this.scheduled = []; // { source, gain, start, duration } for the current response
+            this.nextStartTime = 0;
+            this.playing = false;
+            this.starvedAt = null; // Context time the queue ran dry mid-response
+
+            this.response = null;
+            this.metrics = {
+                chunks: 0,
+                underruns: 0,
+                gapMs: 0,
+                maxBufferedMs: 0,
+                startLatencies: [] // ms from first delta to first audible sample, per response
+            };
+
+            // Optional hooks: onUnderrun(gapMs), onIdle()
+            this.onUnderrun = null;
+            this.onIdle = null;
+        }
+
+        // Call at the first delta of each prospect response
+        startResponse() {
+            this.response = { receivedAt: performance.now(), firstStart: null, playedMs: 0, complete: false };
+            this.starvedAt = null;
+        }
+
+        // Call on response.done, so running dry afterwards isn't counted as an underrun
+        endResponse() {
+            if (this.response) this.response.complete = true;
+        }
+
+        enqueue(samples) {
+            if (!this.response) this.startResponse();
+
+            const buffer = this.ctx.createBuffer(1, samples.length, this.options.sampleRate);
+            buffer.getChannelData(0).set(samples);
+            this.metrics.chunks++;
+
+            const now = this.ctx.currentTime;
+            if (this.playing && this.nextStartTime < now + this.options.scheduleLeadMs / 1000) {
+                // Ran dry before the last chunk's onended fired
+                this.playing = false;
+                this.starvedAt = this.nextStartTime;
+            }
+
+            if (this.playing) {
+                this.schedule(buffer, false);
+                return;
+            }
+
+            if (this.starvedAt !== null) {
+                // The previous chunk already faded out; re-prime the jitter buffer
+                const gapMs = Math.max(0, (now - this.starvedAt) * 1000);
+                this.metrics.underruns++;
+                this.metrics.gapMs += gapMs;
+                this.starvedAt = null;
+                if (this.onUnderrun) this.onUnderrun(gapMs);
+            }
+
+            this.pending.push(buffer);
+            this.pendingMs += buffer.duration * 1000;
+
+            if (this.pendingMs >= this.options.jitterMs) {
+                this.startPlayback();
+            } else if (!this.primeTimer) {
+                // Short responses may never fill the jitter buffer
+                this.primeTimer = setTimeout(() => this.startPlayback(), this.options.jitterMs);
+            }
+        }
+
+        startPlayback() {
+            clearTimeout(this.primeTimer);
+            this.primeTimer = null;
+            if (this.pending.length === 0) return;
+
+            this.playing = true;
+            this.nextStartTime = this.ctx.currentTime + this.options.scheduleLeadMs / 1000;
+
+            const buffers = this.pending;
+            this.pending = [];
+            this.pendingMs = 0;
+            buffers.forEach((buffer, index) => this.schedule(buffer, index === 0));
+        }
+
+        schedule(buffer, fadeIn) {
+            const fade = this.options.fadeMs / 1000;
+            const start = this.nextStartTime;
+            const end = start + buffer.duration;
+
+            const source = this.ctx.createBufferSource();
+            const gain = this.ctx.createGain();
+            source.buffer = buffer;
+            source.connect(gain);
+            gain.connect(this.output);
+
+            if (fadeIn) {
+                gain.gain.setValueAtTime(0, start);
+                gain.gain.linearRampToValueAtTime(1, start + fade);
+            }
+
+            // Every chunk fades out at its end until a follow-on chunk cancels it,
+            // so an underrun ends softly instead of with a click
+            const previous = this.scheduled[this.scheduled.length - 1];
+            if (previous && Math.abs(previous.start + previous.duration - start) < 0.001) {
+                previous.gain.gain.cancelScheduledValues(previous.start + previous.duration - fade);
+                previous.gain.gain.setValueAtTime(1, previous.start + previous.duration - fade);
+            }
+            gain.gain.setValueAtTime(1, Math.max(start + fade, end - fade));
+            gain.gain.linearRampToValueAtTime(0, end);
+
+            const entry = { source, gain, start, duration: buffer.duration };
+            source.onended = () => this.handleEnded(entry);
+            source.start(start);
+
+            this.scheduled.push(entry);
+            this.nextStartTime = end;
+
+            if (this.response && this.response.firstStart === null) {
+                this.response.firstStart = start;
+                const latencyMs = performance.now() - this.response.receivedAt + (start - this.ctx.currentTime) * 1000;
+                this.metrics.startLatencies.push(Math.round(latencyMs));
+            }
+
+            this.metrics.maxBufferedMs = Math.max(this.metrics.maxBufferedMs, Math.round((end - this.ctx.currentTime) * 1000));
+        }
+
+        handleEnded(entry) {
+            const index = this.scheduled.indexOf(entry);
+            if (index === -1) return;
+
+            this.scheduled.splice(index, 1);
+            if (this.response) this.response.playedMs += entry.duration * 1000;
+
+            if (this.scheduled.length === 0 && this.pending.length === 0) {
+                this.playing = false;
+                if (this.response && !this.response.complete) {
+                    this.starvedAt = entry.start + entry.duration;
+                } else if (this.onIdle) {
+                    this.onIdle();
+                }
+            }
+        }
+
+        // Milliseconds of the current response the rep has actually heard
+        heardMs() {
+            if (!this.response) return 0;
+
+            const now = this.ctx.currentTime;
+            const inFlight = this.scheduled.reduce((sum, entry) =>
+                sum + Math.max(0, Math.min(entry.duration, now - entry.start)), 0);
+            return Math.round(this.response.playedMs + inFlight * 1000);
+        }
+
+        isActive() {
+            return this.playing || this.pending.length > 0;
+        }
+
+        // Fades out and drops everything queued; returns how much was heard
+        stop() {
+            const heard = this.heardMs();
+            const now = this.ctx.currentTime;
+            const fade = this.options.fadeMs / 1000;
+
+            clearTimeout(this.primeTimer);
+            this.primeTimer = null;
+            this.pending = [];
+            this.pendingMs = 0;
+
+            this.scheduled.forEach(entry => {
+                entry.source.onended = null;
+                entry.gain.gain.cancelScheduledValues(now);
+                entry.gain.gain.setValueAtTime(entry.gain.gain.value, now);
+                entry.gain.gain.linearRampToValueAtTime(0, now + fade);
+                try {
+                    entry.source.stop(now + fade);
+                } catch (e) {
+                    // Already stopped
+                }
+            });
+
+            this.scheduled = [];
+            this.playing = false;
+            this.starvedAt = null;
+            this.response = null;
+            return heard;
+        }
+
+        getMetrics() {
+            const latencies = this.metrics.startLatencies;
+            return {
+                chunks: this.metrics.chunks,
+                underruns: this.metrics.underruns,
+                gapMs: Math.round(this.metrics.gapMs),
+                maxBufferedMs: this.metrics.maxBufferedMs,
+                avgStartLatencyMs: latencies.length
+                    ? Math.round(latencies.reduce((a, b) => a + b, 0) / latencies.length)
+                    : null,
+                maxStartLatencyMs: latencies.length ? Math.max(...latencies) : null
+            };
+        }
+    }
+
+    root.ValtoriPlayback = { StreamingPlayer, decodePcm16 };
+})(window);
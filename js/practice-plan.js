@@ -0,0 +1,329 @@
+// ===================
+// VALTORI PRACTICE PLAN
+// ===================
+// Builds a rep's weekly practice plan from their recent call_sessions rows
+// (ValtoriSessions.SUMMARY_COLUMNS) and tracks it through the week.
+// The weakest skills get the most calls, spaced out over the week: a skill
+// below 50 is practiced three times (day 0, 2 and 5), below 70 twice, and
+// anything else once.
+// Across weeks each focus skill is reviewed on a spaced schedule kept in the
+// plan's reviews ({ skill: { label, interval, lastResult, lastScore, nextReview } },
+// interval in weeks). Reaching a week's goal doubles the skill's interval, up
+// to MAX_INTERVAL_WEEKS; missing it resets the interval to one week. A skill
+// isn't picked again until its nextReview week; when no skill is due, the
+// week is a couple of full check-in calls instead.
+// Dates are local 'YYYY-MM-DD' strings and weeks start on Monday.
+// Works in the browser (window.ValtoriPracticePlan) and in Node (module.exports).
+
+(function (root) {
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const Scenarios = isNode ? require('./scenarios.js') : root.ValtoriScenarios;
+    const Objections = isNode ? require('./objections.js') : root.ValtoriObjections;
+
+    const RECENT_SESSIONS = 12; // Calls the plan looks back over, newest first
+    const RECENCY_WEIGHT = 0.85; // Each older call counts this much less than the one after it
+    const FOCUS_SKILLS = 3;
+    const MAX_INTERVAL_WEEKS = 8;
+    const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+    // Day offsets in the week, by how weak the skill is
+    const SPACING = [
+        { below: 50, days: [0, 2, 5] },
+        { below: 70, days: [1, 4] },
+        { below: Infinity, days: [3] }
+    ];
+
+    // Every skill is scored 0-100, higher is better; filler words use the same
+    // scale as the bar on results.html (5 points off per filler)
+    const CORE_SKILLS = [
+        { skill: 'confidence', label: 'Confidence', score: row => row.confidence_score },
+        { skill: 'clarity', label: 'Clarity', score: row => row.clarity_score },
+        { skill: 'pacing', label: 'Pacing', score: row => row.pacing_score },
+        { skill: 'fillers', label: 'Filler words', score: row => row.filler_count == null ? null : Math.max(0, 100 - row.filler_count * 5) }
+    ];
+
+    // ===================
+    // DATES
+    // ===================
+
+    function localDate(date) {
+        const d = date instanceof Date ? date : new Date(date);
+        return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+    }
+
+    function parseDate(day) {
+        const [year, month, date] = day.split('-').map(Number);
+        return new Date(year, month - 1, date);
+    }
+
+    function addDays(day, count) {
+        const d = parseDate(day);
+        d.setDate(d.getDate() + count);
+        return localDate(d);
+    }
+
+    function weekStart(date = new Date()) {
+        const d = date instanceof Date ? new Date(date) : new Date(date);
+        d.setDate(d.getDate() - (d.getDay() + 6) % 7);
+        return localDate(d);
+    }
+
+    // ===================
+    // SKILLS
+    // ===================
+
+    // { skillId: score } for one call; objection skills are keyed 'objection:<id>'
+    function skillScores(row) {
+        const scores = {};
+        CORE_SKILLS.forEach(({ skill, score }) => {
+            const value = score(row);
+            if (Number.isFinite(value)) scores[skill] = value;
+        });
+        (row.objection_results || []).forEach(result => {
+            if (result.raised && Number.isFinite(result.score)) {
+                scores[`objection:${result.objection}`] = result.score;
+            }
+        });
+        return scores;
+    }
+
+    function skillLabel(skill) {
+        if (skill.startsWith('objection:')) {
+            const objection = Objections.getObjection(skill.slice('objection:'.length));
+            return objection ? `"${objection.label}" objection` : skill;
+        }
+        const core = CORE_SKILLS.find(entry => entry.skill === skill);
+        return core ? core.label : skill;
+    }
+
+    // Recency-weighted average per skill, weakest first. sessions are newest first.
+    function weakAreas(sessions) {
+        const totals = {};
+        (sessions || []).slice(0, RECENT_SESSIONS).forEach((row, index) => {
+            const weight = Math.pow(RECENCY_WEIGHT, index);
+            Object.entries(skillScores(row)).forEach(([skill, score]) => {
+                const total = totals[skill] || (totals[skill] = { weighted: 0, weight: 0, samples: 0 });
+                total.weighted += score * weight;
+                total.weight += weight;
+                total.samples++;
+            });
+        });
+
+        return Object.entries(totals)
+            .map(([skill, total]) => ({
+                skill,
+                label: skillLabel(skill),
+                score: Math.round(total.weighted / total.weight),
+                samples: total.samples
+            }))
+            .sort((a, b) => a.score - b.score);
+    }
+
+    function averageSkill(sessions, skill) {
+        const scores = (sessions || []).map(row => skillScores(row)[skill]).filter(Number.isFinite);
+        return scores.length ? Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length) : null;
+    }
+
+    // ===================
+    // PLAN
+    // ===================
+
+    // Scenarios of a difficulty, least played first so repeats rotate through them
+    function pickScenario(candidates, playCounts) {
+        const sorted = candidates.slice().sort((a, b) => (playCounts[a.id] || 0) - (playCounts[b.id] || 0));
+        const scenario = sorted[0];
+        playCounts[scenario.id] = (playCounts[scenario.id] || 0) + 1;
+        return scenario;
+    }
+
+    // Weak skills start on easier prospects and step up a difficulty with each repetition
+    function scenarioFor(area, repetition, playCounts) {
+        const level = Math.min(DIFFICULTIES.length - 1, (area.score < 50 ? 0 : area.score < 70 ? 1 : 2) + repetition);
+        const objection = area.skill.startsWith('objection:') ? area.skill.slice('objection:'.length) : null;
+
+        let candidates = Scenarios.SCENARIOS.filter(s => !objection || s.objections.includes(objection));
+        if (candidates.length === 0) candidates = Scenarios.SCENARIOS;
+        const atLevel = candidates.filter(s => s.difficulty === DIFFICULTIES[level]);
+
+        return {
+            scenario: pickScenario(atLevel.length ? atLevel : candidates, playCounts),
+            drill: objection
+        };
+    }
+
+    // Offsets are spread over what's left of the week when the plan starts mid-week
+    function dueDate(start, weekOf, offset) {
+        const daysLeft = 7 - Math.round((parseDate(start) - parseDate(weekOf)) / 86400000);
+        return addDays(start, Math.round(offset * (daysLeft - 1) / 6));
+    }
+
+    function goalFor(score) {
+        return Math.min(100, score + (score < 70 ? 10 : 5));
+    }
+
+    // Review schedule after a finished week. plan is a practice_plans row and
+    // weekSessions are the call_sessions rows from its week.
+    function nextReviews(plan, weekSessions) {
+        const reviews = Object.assign({}, plan.reviews);
+        progress(plan, weekSessions).goals.forEach(goal => {
+            const previous = reviews[goal.skill];
+            const interval = goal.reached
+                ? Math.min(MAX_INTERVAL_WEEKS, (previous ? previous.interval : 1) * 2)
+                : 1;
+            reviews[goal.skill] = {
+                label: goal.label,
+                interval,
+                lastResult: goal.reached ? 'pass' : 'fail',
+                lastScore: goal.current,
+                nextReview: addDays(plan.week_start, interval * 7)
+            };
+        });
+        return reviews;
+    }
+
+    // Weak areas due for review, weakest first
+    function dueAreas(areas, reviews, weekOf) {
+        return areas
+            .filter(area => !reviews[area.skill] || reviews[area.skill].nextReview <= weekOf)
+            .slice(0, FOCUS_SKILLS);
+    }
+
+    // sessions: the rep's recent call_sessions rows, newest first. previous is
+    // the rep's last practice_plans row before this week, if any, and
+    // previousSessions the call_sessions rows from that plan's week.
+    function buildPlan(sessions, { today = localDate(new Date()), previous = null, previousSessions = [] } = {}) {
+        const weekOf = weekStart(parseDate(today));
+        const playCounts = {};
+        (sessions || []).slice(0, RECENT_SESSIONS).forEach(row => {
+            if (row.scenario_id) playCounts[row.scenario_id] = (playCounts[row.scenario_id] || 0) + 1;
+        });
+
+        const reviews = previous ? nextReviews(previous, previousSessions) : {};
+        const areas = weakAreas(sessions);
+        const focus = dueAreas(areas, reviews, weekOf);
+        const items = [];
+
+        if (focus.length === 0 && areas.length > 0) {
+            // Every skill is resting after a pass: full calls on harder prospects to check it holds
+            [1, 4].forEach((offset, index) => {
+                const scenario = pickScenario(
+                    Scenarios.SCENARIOS.filter(s => s.difficulty === DIFFICULTIES[index + 1]),
+                    playCounts
+                );
+                items.push({
+                    id: String(items.length + 1),
+                    skill: null,
+                    label: `Check-in call: ${scenario.name}`,
+                    scenarioId: scenario.id,
+                    drill: null,
+                    due: dueDate(today, weekOf, offset)
+                });
+            });
+        } else if (focus.length === 0) {
+            // Nothing to go on yet: a few full calls, easy first, to find the weak spots
+            [0, 2, 4].forEach((offset, index) => {
+                const scenario = pickScenario(
+                    Scenarios.SCENARIOS.filter(s => s.difficulty === DIFFICULTIES[Math.min(index, 1)]),
+                    playCounts
+                );
+                items.push({
+                    id: String(items.length + 1),
+                    skill: null,
+                    label: `Baseline call: ${scenario.name}`,
+                    scenarioId: scenario.id,
+                    drill: null,
+                    due: dueDate(today, weekOf, offset)
+                });
+            });
+        }
+
+        focus.forEach(area => {
+            const { days } = SPACING.find(spacing => area.score < spacing.below);
+            days.forEach((offset, repetition) => {
+                const { scenario, drill } = scenarioFor(area, repetition, playCounts);
+                items.push({
+                    id: String(items.length + 1),
+                    skill: area.skill,
+                    label: drill
+                        ? `Drill the ${area.label} with ${scenario.persona.name}`
+                        : `${area.label}: full call with ${scenario.persona.name}`,
+                    scenarioId: scenario.id,
+                    drill,
+                    due: dueDate(today, weekOf, offset)
+                });
+            });
+        });
+
+        items.sort((a, b) => a.due.localeCompare(b.due) || Number(a.id) - Number(b.id));
+
+        return {
+            weekStart: weekOf,
+            focus: focus.map(area => ({
+                skill: area.skill,
+                label: area.label,
+                baseline: area.score,
+                target: goalFor(area.score)
+            })),
+            items,
+            reviews
+        };
+    }
+
+    // Where the plan stands. plan is a practice_plans row; weekSessions are this
+    // week's call_sessions rows (with practice_plan_id and plan_item).
+    function progress(plan, weekSessions, { today = localDate(new Date()) } = {}) {
+        const sessions = weekSessions || [];
+
+        const items = (plan.items || []).map(item => {
+            const session = sessions.find(row => row.practice_plan_id === plan.id && row.plan_item === item.id);
+            const status = session ? 'done'
+                : item.due < today ? 'overdue'
+                : item.due === today ? 'due'
+                : 'upcoming';
+            return Object.assign({}, item, { status, sessionId: session ? session.id : null });
+        });
+
+        const goals = (plan.focus || []).map(goal => {
+            const current = averageSkill(sessions, goal.skill);
+            const span = goal.target - goal.baseline;
+            return Object.assign({}, goal, {
+                current,
+                reached: current !== null && current >= goal.target,
+                // 0 at the baseline, 1 at the target
+                fraction: current === null ? 0 : span > 0 ? Math.max(0, Math.min(1, (current - goal.baseline) / span)) : 1
+            });
+        });
+
+        return {
+            items,
+            goals,
+            done: items.filter(item => item.status === 'done').length,
+            total: items.length
+        };
+    }
+
+    function findItem(plan, itemId) {
+        return (plan && plan.items || []).find(item => item.id === itemId) || null;
+    }
+
+    const ValtoriPracticePlan = {
+        RECENT_SESSIONS,
+        MAX_INTERVAL_WEEKS,
+        CORE_SKILLS,
+        localDate,
+        addDays,
+        weekStart,
+        skillScores,
+        weakAreas,
+        nextReviews,
+        buildPlan,
+        progress,
+        findItem
+    };
+
+    if (isNode) {
+        module.exports = ValtoriPracticePlan;
+    } else {
+        root.ValtoriPracticePlan = ValtoriPracticePlan;
+    }
+})(typeof window !== 'undefined' ? window : this);
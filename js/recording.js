@@ -0,0 +1,69 @@
+// ===================
+// VALTORI CALL RECORDING
+// ===================
+// Mixes the rep's microphone and the prospect's playback into one audio file.
+// Connect any audio node to recorder.input; startedAt lines the recording up
+// with the epoch-ms timestamps on state.messages.
+
+(function (root) {
+    const MIME_TYPES = ['audio/webm;codecs=opus', 'audio/webm', 'audio/mp4', 'audio/ogg;codecs=opus'];
+
+    function pickMimeType() {
+        if (typeof MediaRecorder === 'undefined') return null;
+        return MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+    }
+
+    class CallRecorder {
+        constructor(audioContext) {
+            this.destination = audioContext.createMediaStreamDestination();
+            this.input = audioContext.createGain();
+            this.input.connect(this.destination);
+
+            this.mimeType = pickMimeType();
+            this.recorder = null;
+            this.chunks = [];
+            this.startedAt = null;
+        }
+
+        isSupported() {
+            return this.mimeType !== null;
+        }
+
+        start() {
+            if (!this.isSupported() || this.recorder) return;
+
+            const options = this.mimeType ? { mimeType: this.mimeType } : undefined;
+            this.recorder = new MediaRecorder(this.destination.stream, options);
+            this.recorder.ondataavailable = (event) => {
+                if (event.data && event.data.size > 0) this.chunks.push(event.data);
+            };
+            this.recorder.start(1000);
+            this.startedAt = Date.now();
+        }
+
+        // Resolves with the finished recording, or null if nothing was recorded
+        stop() {
+            return new Promise(resolve => {
+                if (!this.recorder || this.recorder.state === 'inactive') {
+                    resolve(null);
+                    return;
+                }
+
+                this.recorder.onstop = () => {
+                    const blob = new Blob(this.chunks, { type: this.recorder.mimeType || 'audio/webm' });
+                    resolve(blob.size > 0 ? blob : null);
+                };
+                this.recorder.stop();
+            });
+        }
+    }
+
+    // File extension for the storage path, from a blob's MIME type
+    function extensionFor(mimeType) {
+        if (mimeType.includes('mp4')) return 'm4a';
+        if (mimeType.includes('ogg')) return 'ogg';
+        return 'webm';
+    }
+
+    root.ValtoriRecording = { CallRecorder, extensionFor };
+})(window);
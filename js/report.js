@@ -0,0 +1,263 @@
+// ===================
+// VALTORI CALL REPORT
+// ===================
+// Turns a call's results (the shape results.html displays) into files a rep
+// can hand to their manager: a Markdown or PDF report with scores, coaching
+// and the transcript, the raw session as JSON, and an SRT transcript timed
+// against the recording. Needs js/scoring.js, js/feedback.js,
+// js/scenarios.js, js/objections.js, js/compensation.js and js/sessions.js
+// loaded first.
+
+(function (root) {
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const Feedback = isNode ? require('./feedback.js') : root.ValtoriFeedback;
+    const Scenarios = isNode ? require('./scenarios.js') : root.ValtoriScenarios;
+    const Objections = isNode ? require('./objections.js') : root.ValtoriObjections;
+    const Compensation = isNode ? require('./compensation.js') : root.ValtoriCompensation;
+    const Sessions = isNode ? require('./sessions.js') : root.ValtoriSessions;
+
+    const SPEAKERS = { user: 'Rep', ai: 'Prospect' };
+
+    // Start/end of each turn in seconds from the start of the recording (or the first turn)
+    function turnOffsets(messages, recordingStartedAt) {
+        const origin = recordingStartedAt
+            ? new Date(recordingStartedAt).getTime()
+            : (messages[0]?.startedAt || messages[0]?.timestamp || 0);
+        let previousEnd = origin;
+
+        return messages.map(message => {
+            const end = message.endedAt || message.timestamp || previousEnd;
+            const start = Math.min(message.startedAt || previousEnd, end);
+            previousEnd = end;
+            return { start: (start - origin) / 1000, end: (end - origin) / 1000 };
+        });
+    }
+
+    function formatClock(totalSeconds) {
+        const seconds = Math.max(0, Math.floor(totalSeconds));
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+
+    // Everything the Markdown and PDF renderers need, in reading order
+    function buildReport(data) {
+        const scenario = data.scenarioId ? Scenarios.getScenario(data.scenarioId) : null;
+        const drill = data.drillObjection ? Objections.getObjection(data.drillObjection) : null;
+        const messages = (data.messages || []).filter(m => m && m.text);
+        const offsets = turnOffsets(messages, data.recordingStartedAt);
+        const { strengths, improvements } = Feedback.buildBreakdown(messages);
+        const analytics = data.voiceAnalytics;
+
+        const details = [
+            ['Date', new Date(data.createdAt || Date.now()).toLocaleString()],
+            ['Scenario', scenario ? `${scenario.name} (${scenario.persona.name}, ${scenario.difficulty})` : 'General call'],
+            ['Duration', Sessions.formatDuration(data.duration)],
+            ['Outcome', data.closed ? 'Closed' : 'Not closed']
+        ];
+        if (drill) details.push(['Drill', drill.label]);
+        if (data.examMode) {
+            details.push(['Mode', 'Exam (no live hints)']);
+        } else if (data.coachingHints && data.coachingHints.length) {
+            details.push(['Live hints', String(data.coachingHints.length)]);
+        }
+        if (data.closed && typeof data.commission === 'number') {
+            details.push(['Commission', `${Compensation.formatMoney(data.commission)} on a ${Compensation.formatMoney(data.dealValue)} deal`]);
+        }
+
+        const scores = data.scores || {};
+        const talk = analytics ? [
+            ['Talk / listen', analytics.talkRatio === null ? '--' : `${Math.round(analytics.talkRatio * 100)} / ${100 - Math.round(analytics.talkRatio * 100)}`],
+            ['Longest monologue', `${(analytics.longestMonologueMs / 1000).toFixed(1)}s`],
+            ['Avg response time', analytics.responseLatency.avgMs === null ? '--' : `${(analytics.responseLatency.avgMs / 1000).toFixed(1)}s`],
+            ['Speaking rate', analytics.speakingRateWpm ? `${analytics.speakingRateWpm} wpm` : '--']
+        ] : [];
+
+        return {
+            title: scenario ? `Valtori Call Report: ${scenario.name}` : 'Valtori Call Report',
+            details,
+            scores: [
+                ['Overall', scores.overall],
+                ['Confidence', scores.confidence],
+                ['Clarity', scores.clarity],
+                ['Pacing', scores.pacing],
+                ['Filler words', scores.fillers]
+            ],
+            talk,
+            strengths: strengths.map(item => ({ text: item.text, quote: item.quote || null })),
+            improvements: improvements.map(item => ({ text: item.text, quote: item.quote || null })),
+            objections: (data.objectionResults || []).map(result => ({
+                label: result.label,
+                status: !result.raised ? 'Not raised' : `${result.handled ? 'Handled' : 'Missed'} (${result.score})`,
+                response: result.raised ? result.response : null
+            })),
+            transcript: messages.map((message, index) => ({
+                time: formatClock(offsets[index].start),
+                speaker: SPEAKERS[message.speaker] || message.speaker,
+                text: message.text,
+                interrupted: !!message.interrupted
+            }))
+        };
+    }
+
+    function markdownItem(item) {
+        return item.quote ? `- ${item.text}\n  > ${item.quote}` : `- ${item.text}`;
+    }
+
+    function toMarkdown(report) {
+        const lines = [`# ${report.title}`, ''];
+
+        report.details.forEach(([label, value]) => lines.push(`- **${label}:** ${value}`));
+
+        lines.push('', '## Scores', '', '| Metric | Score |', '| --- | --- |');
+        report.scores.forEach(([label, value]) => lines.push(`| ${label} | ${value ?? '--'} |`));
+
+        if (report.talk.length) {
+            lines.push('', '## Talk Time', '');
+            report.talk.forEach(([label, value]) => lines.push(`- **${label}:** ${value}`));
+        }
+
+        lines.push('', '## What Worked', '');
+        lines.push(...(report.strengths.length ? report.strengths.map(markdownItem) : ['- Nothing stood out yet.']));
+
+        lines.push('', '## Areas to Improve', '');
+        lines.push(...(report.improvements.length ? report.improvements.map(markdownItem) : ['- No issues found in this call.']));
+
+        if (report.objections.length) {
+            lines.push('', '## Objection Handling', '');
+            report.objections.forEach(objection => {
+                lines.push(`- **"${objection.label}"**: ${objection.status}`);
+                if (objection.response) lines.push(`  > ${objection.response}`);
+            });
+        }
+
+        lines.push('', '## Transcript', '');
+        if (report.transcript.length) {
+            report.transcript.forEach(turn => {
+                lines.push(`**[${turn.time}] ${turn.speaker}:** ${turn.text}${turn.interrupted ? ' _(cut off)_' : ''}`, '');
+            });
+        } else {
+            lines.push('No transcript was captured for this call.', '');
+        }
+
+        return lines.join('\n');
+    }
+
+    // The whole session as stored, for spreadsheets and other tools
+    function toJson(data) {
+        return JSON.stringify({ exportedAt: new Date().toISOString(), ...data }, null, 2);
+    }
+
+    function srtTime(seconds) {
+        const ms = Math.max(0, Math.round(seconds * 1000));
+        const pad = (value, length) => String(value).padStart(length, '0');
+        return `${pad(Math.floor(ms / 3600000), 2)}:${pad(Math.floor(ms / 60000) % 60, 2)}:${pad(Math.floor(ms / 1000) % 60, 2)},${pad(ms % 1000, 3)}`;
+    }
+
+    // One cue per turn, timed from the recording start so it lines up with the audio
+    function toSrt(data) {
+        const messages = (data.messages || []).filter(m => m && m.text);
+        const offsets = turnOffsets(messages, data.recordingStartedAt);
+
+        return messages.map((message, index) => {
+            const { start } = offsets[index];
+            const end = Math.max(offsets[index].end, start + 1); // Untimed turns still get a readable cue
+            return `${index + 1}\n${srtTime(start)} --> ${srtTime(end)}\n${SPEAKERS[message.speaker] || message.speaker}: ${message.text}\n`;
+        }).join('\n');
+    }
+
+    // jsPDF's built-in fonts only cover Latin-1, so swap or drop the rest (emoji, smart quotes)
+    function pdfText(text) {
+        return String(text)
+            .replace(/[‘’]/g, '\'')
+            .replace(/[“”]/g, '"')
+            .replace(/[–—]/g, '-')
+            .replace(/…/g, '...')
+            .replace(/[^\x00-\xFF]/g, '');
+    }
+
+    // Lays the report out on A4 pages. jsPDF is the constructor from the jspdf UMD bundle.
+    function toPdf(report, jsPDF) {
+        const doc = new jsPDF({ unit: 'pt', format: 'a4' });
+        const margin = 48;
+        const width = doc.internal.pageSize.getWidth() - margin * 2;
+        const bottom = doc.internal.pageSize.getHeight() - margin;
+        let y = margin;
+
+        function write(text, { size = 10, style = 'normal', indent = 0, gap = 4, color = 20 } = {}) {
+            doc.setFont('helvetica', style);
+            doc.setFontSize(size);
+            doc.setTextColor(color);
+            const lines = doc.splitTextToSize(pdfText(text), width - indent);
+            const lineHeight = size * 1.35;
+            lines.forEach(line => {
+                if (y + lineHeight > bottom) {
+                    doc.addPage();
+                    y = margin;
+                }
+                doc.text(line, margin + indent, y + size);
+                y += lineHeight;
+            });
+            y += gap;
+        }
+
+        function heading(text) {
+            y += 10;
+            write(text, { size: 13, style: 'bold', gap: 6 });
+        }
+
+        function items(list, emptyText) {
+            if (!list.length) write(emptyText, { indent: 12 });
+            list.forEach(item => {
+                write(`- ${item.text}`, { indent: 12, gap: item.quote ? 1 : 4 });
+                if (item.quote) write(`"${item.quote}"`, { indent: 24, style: 'italic', color: 90 });
+            });
+        }
+
+        write(report.title, { size: 18, style: 'bold', gap: 10 });
+        report.details.forEach(([label, value]) => write(`${label}: ${value}`, { gap: 1 }));
+
+        heading('Scores');
+        report.scores.forEach(([label, value]) => write(`${label}: ${value ?? '--'}`, { gap: 1 }));
+
+        if (report.talk.length) {
+            heading('Talk Time');
+            report.talk.forEach(([label, value]) => write(`${label}: ${value}`, { gap: 1 }));
+        }
+
+        heading('What Worked');
+        items(report.strengths, 'Nothing stood out yet.');
+
+        heading('Areas to Improve');
+        items(report.improvements, 'No issues found in this call.');
+
+        if (report.objections.length) {
+            heading('Objection Handling');
+            items(report.objections.map(objection => ({
+                text: `"${objection.label}": ${objection.status}`,
+                quote: objection.response
+            })), '');
+        }
+
+        heading('Transcript');
+        if (!report.transcript.length) write('No transcript was captured for this call.');
+        report.transcript.forEach(turn => {
+            write(`[${turn.time}] ${turn.speaker}`, { style: 'bold', size: 9, gap: 0, color: 90 });
+            write(`${turn.text}${turn.interrupted ? ' (cut off)' : ''}`, { gap: 6 });
+        });
+
+        return doc;
+    }
+
+    // valtori-call-2026-10-19-cold-saas.md
+    function fileName(data, extension) {
+        const date = new Date(data.createdAt || Date.now()).toISOString().slice(0, 10);
+        return `valtori-call-${date}${data.scenarioId ? `-${data.scenarioId}` : ''}.${extension}`;
+    }
+
+    const ValtoriReport = { turnOffsets, formatClock, buildReport, toMarkdown, toJson, toSrt, toPdf, fileName };
+
+    if (isNode) {
+        module.exports = ValtoriReport;
+    } else {
+        root.ValtoriReport = ValtoriReport;
+    }
+})(typeof window !== 'undefined' ? window : this);
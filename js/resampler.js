@@ -0,0 +1,144 @@
+// ===================
+// VALTORI CAPTURE RESAMPLER
+// ===================
+// Converts microphone audio at whatever rate the device runs (44.1 kHz,
+// 48 kHz, ...) to the realtime protocol's rate, and cuts it into fixed-size
+// PCM16 packets. Streaming and stateful: chunks can be any length and the
+// output is continuous across them.
+// Loaded into the AudioWorklet scope before js/capture-worklet.js, and also
+// usable in Node (module.exports). Worklet modules have no window and no
+// top-level `this`, hence globalThis.
+
+(function (root) {
+    const FILTER_TAPS = 31; // Odd, so the low-pass has a centre tap
+
+    // Windowed-sinc low-pass (Blackman), cutoff as a fraction of the input rate
+    function lowPassKernel(cutoff, taps) {
+        const kernel = new Float32Array(taps);
+        const middle = (taps - 1) / 2;
+        let sum = 0;
+
+        for (let i = 0; i < taps; i++) {
+            const x = i - middle;
+            const sinc = x === 0 ? 2 * cutoff : Math.sin(2 * Math.PI * cutoff * x) / (Math.PI * x);
+            const window = 0.42 - 0.5 * Math.cos(2 * Math.PI * i / (taps - 1)) + 0.08 * Math.cos(4 * Math.PI * i / (taps - 1));
+            kernel[i] = sinc * window;
+            sum += kernel[i];
+        }
+
+        for (let i = 0; i < taps; i++) kernel[i] /= sum;
+        return kernel;
+    }
+
+    class StreamResampler {
+        constructor(inputRate, outputRate) {
+            this.inputRate = inputRate;
+            this.outputRate = outputRate;
+            this.step = inputRate / outputRate; // Input samples per output sample
+            this.passthrough = inputRate === outputRate;
+
+            // Downsampling needs the content above the new Nyquist removed first
+            this.kernel = inputRate > outputRate ? lowPassKernel(0.45 * outputRate / inputRate, FILTER_TAPS) : null;
+            this.history = new Float32Array(this.kernel ? FILTER_TAPS - 1 : 0);
+
+            // Output sample k reads input position k * step. Counting both sides in whole
+            // samples (instead of carrying a fractional position from chunk to chunk) keeps
+            // rounding from drifting, so the output doesn't depend on how the input is chunked.
+            this.produced = 0;
+            this.consumed = 0;
+            this.previous = 0; // Last filtered sample of the previous chunk, for interpolation
+        }
+
+        filter(input) {
+            if (!this.kernel) return input;
+
+            const taps = this.kernel.length;
+            const padded = new Float32Array(this.history.length + input.length);
+            padded.set(this.history);
+            padded.set(input, this.history.length);
+
+            const output = new Float32Array(input.length);
+            for (let n = 0; n < input.length; n++) {
+                let acc = 0;
+                for (let k = 0; k < taps; k++) {
+                    acc += padded[n + k] * this.kernel[taps - 1 - k];
+                }
+                output[n] = acc;
+            }
+
+            this.history = padded.slice(padded.length - this.history.length);
+            return output;
+        }
+
+        // Returns the resampled audio for this chunk (possibly empty)
+        process(input) {
+            if (this.passthrough) return Float32Array.from(input);
+
+            const filtered = this.filter(input);
+            const output = [];
+
+            // position is measured from the previous chunk's last sample (index -1)
+            let position = this.produced * this.step - this.consumed;
+            while (position < filtered.length) {
+                const index = Math.floor(position);
+                const frac = position - index;
+                const a = index === 0 ? this.previous : filtered[index - 1];
+                const b = filtered[index];
+                output.push(a + (b - a) * frac);
+                this.produced++;
+                position = this.produced * this.step - this.consumed;
+            }
+
+            this.consumed += filtered.length;
+            if (filtered.length) this.previous = filtered[filtered.length - 1];
+            return Float32Array.from(output);
+        }
+    }
+
+    function floatToPcm16(samples) {
+        const pcm = new Int16Array(samples.length);
+        for (let i = 0; i < samples.length; i++) {
+            const s = Math.max(-1, Math.min(1, samples[i]));
+            pcm[i] = s < 0 ? Math.round(s * 32768) : Math.round(s * 32767);
+        }
+        return pcm;
+    }
+
+    // Collects samples and hands them out in packets of exactly packetSamples
+    class PacketBatcher {
+        constructor(packetSamples) {
+            this.packetSamples = packetSamples;
+            this.buffer = new Float32Array(packetSamples);
+            this.filled = 0;
+        }
+
+        // Returns the packets completed by this chunk as Float32Arrays
+        push(samples) {
+            const packets = [];
+            let offset = 0;
+
+            while (offset < samples.length) {
+                const count = Math.min(this.packetSamples - this.filled, samples.length - offset);
+                this.buffer.set(samples.subarray(offset, offset + count), this.filled);
+                this.filled += count;
+                offset += count;
+
+                if (this.filled === this.packetSamples) {
+                    packets.push(this.buffer);
+                    this.buffer = new Float32Array(this.packetSamples);
+                    this.filled = 0;
+                }
+            }
+
+            return packets;
+        }
+    }
+
+    const ValtoriResampler = { StreamResampler, PacketBatcher, floatToPcm16, lowPassKernel };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ValtoriResampler;
+    } else {
+        root.ValtoriResampler = ValtoriResampler;
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
@@ -0,0 +1,122 @@
+// ===================
+// VALTORI SCENARIO CATALOG
+// ===================
+// Practice call setups the rep picks from before a call starts.
+// The chosen scenario is sent to the realtime server in the `start` message
+// and its id is saved as call_sessions.scenario_id. dealValue feeds the
+// commission model in js/compensation.js.
+
+(function (root) {
+    const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+    const SCENARIOS = [
+        {
+            id: 'saas-ops-manager',
+            name: 'Busy Ops Manager',
+            industry: 'Logistics',
+            product: 'Route-planning SaaS for delivery fleets',
+            difficulty: 'easy',
+            persona: {
+                name: 'Dana Brooks',
+                title: 'Operations Manager, Swift Freight',
+                avatar: '🚚',
+                personality: 'Friendly but short on time. Open to ideas that save her team hours, skeptical of long pitches.'
+            },
+            dealValue: 9600, // Annual contract value if the rep closes
+            objections: ['bad timing', 'send me an email'],
+            openingContext: 'Dana answers her desk phone mid-morning while juggling driver schedules.'
+        },
+        {
+            id: 'fintech-cfo',
+            name: 'Cost-Cutting CFO',
+            industry: 'Financial Services',
+            product: 'Automated accounts-payable platform',
+            difficulty: 'hard',
+            persona: {
+                name: 'Richard Hale',
+                title: 'CFO, Meridian Capital Partners',
+                avatar: '💼',
+                personality: 'Blunt, numbers-driven and impatient. Only engages when he hears a concrete ROI.'
+            },
+            dealValue: 48000,
+            objections: ['not interested', 'we already have a vendor', 'too expensive'],
+            openingContext: 'Richard picks up between board prep meetings during a company-wide budget freeze.'
+        },
+        {
+            id: 'healthcare-it-director',
+            name: 'Cautious IT Director',
+            industry: 'Healthcare',
+            product: 'HIPAA-compliant patient messaging tool',
+            difficulty: 'medium',
+            persona: {
+                name: 'Priya Natarajan',
+                title: 'Director of IT, Lakeside Medical Group',
+                avatar: '🏥',
+                personality: 'Methodical and risk-averse. Asks detailed security and integration questions.'
+            },
+            dealValue: 24000,
+            objections: ['we already have a vendor', 'bad timing'],
+            openingContext: 'Priya is in the middle of an EHR migration and screens every vendor call.'
+        },
+        {
+            id: 'retail-owner',
+            name: 'Small Retail Owner',
+            industry: 'Retail',
+            product: 'Point-of-sale system with built-in inventory',
+            difficulty: 'easy',
+            persona: {
+                name: 'Marco Silva',
+                title: 'Owner, Silva Home Goods',
+                avatar: '🛍️',
+                personality: 'Warm and chatty, but wary of contracts and hidden fees.'
+            },
+            dealValue: 3600,
+            objections: ['too expensive', 'send me an email'],
+            openingContext: 'Marco answers the store phone during a quiet afternoon.'
+        },
+        {
+            id: 'cto-startup',
+            name: 'Technical Startup CTO',
+            industry: 'Software',
+            product: 'Observability and error-tracking platform',
+            difficulty: 'medium',
+            persona: {
+                name: 'Alex Chen',
+                title: 'CTO, Brightloop',
+                avatar: '💻',
+                personality: 'Sharp and technical. Hates buzzwords and will test whether you understand the product.'
+            },
+            dealValue: 18000,
+            objections: ['not interested', 'we already have a vendor'],
+            openingContext: 'Alex takes the call on a mobile while walking between meetings.'
+        },
+        {
+            id: 'vp-sales-gatekeeper',
+            name: 'Guarded VP of Sales',
+            industry: 'Manufacturing',
+            product: 'Sales engagement and dialer platform',
+            difficulty: 'hard',
+            persona: {
+                name: 'Karen Walsh',
+                title: 'VP of Sales, Northgate Industrial',
+                avatar: '🏭',
+                personality: 'Gets cold-called daily and is tired of it. Respects reps who are direct and well prepared.'
+            },
+            dealValue: 36000,
+            objections: ['not interested', 'bad timing', 'send me an email'],
+            openingContext: 'Karen picks up expecting a customer and is annoyed it is a sales call.'
+        }
+    ];
+
+    function getScenario(id) {
+        return SCENARIOS.find(scenario => scenario.id === id) || null;
+    }
+
+    const ValtoriScenarios = { DIFFICULTIES, SCENARIOS, getScenario };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ValtoriScenarios;
+    } else {
+        root.ValtoriScenarios = ValtoriScenarios;
+    }
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,222 @@
+// ===================
+// VALTORI SCORING ENGINE
+// ===================
+// Scores a call from its transcript (state.messages in call.html).
+// Each message looks like { speaker: 'user' | 'ai', text, timestamp, startedAt, endedAt }.
+// Works in the browser (window.ValtoriScoring) and in Node (module.exports).
+
+(function (root) {
+    // Multi-word fillers first; each match is removed before the next pass
+    const FILLER_WORDS = ['you know', 'i mean', 'sort of', 'kind of', 'um', 'umm', 'uh', 'uhh', 'erm', 'er', 'ah', 'hmm', 'like', 'basically', 'literally', 'actually'];
+
+    const HEDGE_PHRASES = ['i think', 'i guess', 'maybe', 'just', 'sorry', 'probably', 'hopefully', 'i hope', 'if that\'s ok', 'does that make sense'];
+
+    const CLOSE_PATTERNS = [
+        /\b(can|could|shall) we (schedule|book|set up|get (you )?started|move forward|lock)/i,
+        /\b(are you|would you be) (ready|open|willing) to\b/i,
+        /\bwould you like to (move forward|get started|sign up|try|book|schedule)/i,
+        /\b(sign|get) (you )?(up|started)\b/i,
+        /\b(book|schedule|set up) (a|the|some) (call|meeting|demo|time|follow[- ]up)/i,
+        /\bhow does (monday|tuesday|wednesday|thursday|friday|tomorrow|next week)\b/i,
+        /\bdo we have a deal\b/i,
+        /\bwhat do you say\b/i
+    ];
+
+    // Acceptance has to open the reply ("Sure, let's book it"), not just appear in it
+    const ACCEPT_PATTERNS = [
+        /^\W*(yes|yeah|yep|sure|absolutely|definitely|of course|great|perfect)\b/i,
+        /^\W*(sounds good|sounds great|let'?s do it|that works|works for me|i'?m in|sign me up|deal|go ahead)\b/i
+    ];
+
+    // "Okay" on its own only acknowledges; it agrees unless the prospect asks something back
+    const ACKNOWLEDGE_PATTERN = /^\W*(okay|ok|alright|all right|fine)\b/i;
+
+    // Rejections anywhere in the reply. Negations only count when they negate the
+    // agreement itself, so "Sure, no problem" and "Yes, that won't be an issue" still close.
+    const REJECT_PATTERNS = [
+        /^\W*(no|nope|nah)\b(?!\s+(problem|worries)\b)/i,
+        /\b(not interested|no thanks|not right now|not at this time|not a good time|not for us|not a priority)\b/i,
+        /\b(send me an email|call me back|we already have|too expensive|can'?t afford|i'?ll think about it|need to think)\b/i,
+        /\bnot (so |too |really |that )?sure\b/i,
+        /\b(don'?t|do not) think so\b/i,
+        /\b(won'?t|will not|doesn'?t|does not|wouldn'?t|would not|can'?t|cannot) work\b/i
+    ];
+
+    const IDEAL_WPM = 150;
+    const IDEAL_TALK_RATIO = 0.45;
+    // Used when a turn is missing start/end times
+    const FALLBACK_WPM = 150;
+
+    function escapeRegExp(str) {
+        return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    function clamp(value, min, max) {
+        return Math.max(min, Math.min(max, value));
+    }
+
+    function countWords(text) {
+        const words = String(text || '').trim().match(/[\w']+/g);
+        return words ? words.length : 0;
+    }
+
+    // Counts filler words in a piece of text, longest phrases first
+    function countFillers(text) {
+        let remaining = ' ' + String(text || '').toLowerCase() + ' ';
+        const byWord = {};
+        let total = 0;
+
+        FILLER_WORDS.forEach(filler => {
+            // "like" is only a filler when set off by a comma ("it was, like, great")
+            const regex = filler === 'like'
+                ? /(^|[^\w'])like(?=\s*,)/g
+                : new RegExp(`(^|[^\\w'])${escapeRegExp(filler)}(?=[^\\w']|$)`, 'g');
+            const matches = remaining.match(regex);
+            if (matches) {
+                byWord[filler] = matches.length;
+                total += matches.length;
+                remaining = remaining.replace(regex, '$1 ');
+            }
+        });
+
+        return { total, byWord };
+    }
+
+    function countHedges(text) {
+        const lower = String(text || '').toLowerCase();
+        return HEDGE_PHRASES.reduce((sum, phrase) => {
+            const matches = lower.match(new RegExp(`\\b${escapeRegExp(phrase)}\\b`, 'g'));
+            return sum + (matches ? matches.length : 0);
+        }, 0);
+    }
+
+    function turnDurationMs(message) {
+        if (message.startedAt && message.endedAt && message.endedAt > message.startedAt) {
+            return message.endedAt - message.startedAt;
+        }
+        return countWords(message.text) / FALLBACK_WPM * 60000;
+    }
+
+    function isCloseAttempt(text) {
+        return CLOSE_PATTERNS.some(pattern => pattern.test(text));
+    }
+
+    // A question back ("what time works for you?") only holds up the close when nothing in the reply agreed
+    function isAcceptance(text) {
+        if (REJECT_PATTERNS.some(pattern => pattern.test(text))) return false;
+        if (ACCEPT_PATTERNS.some(pattern => pattern.test(text))) return true;
+        return ACKNOWLEDGE_PATTERN.test(text) && !text.includes('?');
+    }
+
+    // Finds every close attempt and whether the prospect's next turn accepted it
+    function detectClose(messages) {
+        const attempts = [];
+
+        messages.forEach((message, index) => {
+            if (message.speaker !== 'user' || !isCloseAttempt(message.text)) return;
+
+            const reply = messages.slice(index + 1).find(m => m.speaker === 'ai');
+            attempts.push({
+                index,
+                text: message.text,
+                reply: reply ? reply.text : null,
+                accepted: reply ? isAcceptance(reply.text) : false
+            });
+        });
+
+        return {
+            attempted: attempts.length > 0,
+            accepted: attempts.some(attempt => attempt.accepted),
+            attempts
+        };
+    }
+
+    // Raw numbers pulled from the transcript, before turning them into scores
+    function analyzeTranscript(messages) {
+        const turns = (messages || []).filter(m => m && m.text);
+        const repTurns = turns.filter(m => m.speaker === 'user');
+        const prospectTurns = turns.filter(m => m.speaker === 'ai');
+
+        const repWords = repTurns.reduce((sum, m) => sum + countWords(m.text), 0);
+        const repTalkMs = repTurns.reduce((sum, m) => sum + turnDurationMs(m), 0);
+        const prospectTalkMs = prospectTurns.reduce((sum, m) => sum + turnDurationMs(m), 0);
+        const totalTalkMs = repTalkMs + prospectTalkMs;
+
+        const fillers = countFillers(repTurns.map(m => m.text).join(' '));
+        const hedges = repTurns.reduce((sum, m) => sum + countHedges(m.text), 0);
+        const questions = repTurns.reduce((sum, m) => sum + (m.text.match(/\?/g) || []).length, 0);
+
+        const sentences = repTurns
+            .map(m => m.text.split(/[.!?]+/).filter(s => countWords(s) > 0))
+            .reduce((all, list) => all.concat(list), []);
+
+        return {
+            repTurns: repTurns.length,
+            prospectTurns: prospectTurns.length,
+            repWords,
+            repTalkSeconds: Math.round(repTalkMs / 1000),
+            prospectTalkSeconds: Math.round(prospectTalkMs / 1000),
+            talkRatio: totalTalkMs > 0 ? repTalkMs / totalTalkMs : 0,
+            wordsPerMinute: repTalkMs > 0 ? Math.round(repWords / (repTalkMs / 60000)) : 0,
+            fillers,
+            fillersPerMinute: repTalkMs > 0 ? fillers.total / (repTalkMs / 60000) : 0,
+            hedges,
+            questions,
+            avgSentenceWords: sentences.length ? repWords / sentences.length : 0,
+            close: detectClose(turns)
+        };
+    }
+
+    // Turns the transcript into the scores stored in call_sessions
+    function scoreCall(messages) {
+        const metrics = analyzeTranscript(messages);
+
+        if (metrics.repWords === 0) {
+            return {
+                scores: { overall: 0, confidence: 0, clarity: 0, pacing: 0, fillers: 0 },
+                closed: false,
+                metrics
+            };
+        }
+
+        const confidence = clamp(100 - metrics.fillersPerMinute * 6 - metrics.hedges * 4 + (metrics.close.attempted ? 5 : 0), 0, 100);
+        const clarity = clamp(100 - Math.max(0, metrics.avgSentenceWords - 18) * 2.5 - metrics.fillersPerMinute * 3, 0, 100);
+
+        const wpmPenalty = Math.abs(metrics.wordsPerMinute - IDEAL_WPM) * 0.6;
+        const ratioPenalty = Math.abs(metrics.talkRatio - IDEAL_TALK_RATIO) * 80;
+        const pacing = clamp(100 - wpmPenalty - ratioPenalty, 0, 100);
+
+        const closeScore = metrics.close.accepted ? 100 : metrics.close.attempted ? 50 : 0;
+        const discoveryScore = clamp(metrics.questions * 20, 0, 100);
+
+        const overall = confidence * 0.25 + clarity * 0.2 + pacing * 0.2 + discoveryScore * 0.15 + closeScore * 0.2;
+
+        return {
+            scores: {
+                overall: Math.round(overall),
+                confidence: Math.round(confidence),
+                clarity: Math.round(clarity),
+                pacing: Math.round(pacing),
+                fillers: metrics.fillers.total
+            },
+            closed: metrics.close.accepted,
+            metrics
+        };
+    }
+
+    const ValtoriScoring = {
+        FILLER_WORDS,
+        countWords,
+        countFillers,
+        countHedges,
+        detectClose,
+        analyzeTranscript,
+        scoreCall
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ValtoriScoring;
+    } else {
+        root.ValtoriScoring = ValtoriScoring;
+    }
+})(typeof window !== 'undefined' ? window : this);
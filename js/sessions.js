@@ -0,0 +1,57 @@
+// ===================
+// VALTORI CALL SESSIONS
+// ===================
+// Shared helpers for reading call_sessions rows back into the shape
+// results.html works with (the same shape call.html puts in sessionStorage).
+
+(function (root) {
+    // Columns for list views; the full row (with messages) is only loaded for one session
+    const SUMMARY_COLUMNS = 'id, created_at, duration, scenario_id, overall_score, confidence_score, clarity_score, pacing_score, filler_count, sale_closed, deal_value, commission, drill_objection, objection_results, exam_mode, retry_of, retry_turn, practice_plan_id, plan_item';
+
+    function fromRow(row) {
+        return {
+            sessionId: row.id,
+            userId: row.user_id || null,
+            userEmail: row.user_email || null,
+            createdAt: row.created_at,
+            duration: row.duration || 0,
+            scores: {
+                overall: row.overall_score,
+                confidence: row.confidence_score,
+                clarity: row.clarity_score,
+                pacing: row.pacing_score,
+                fillers: row.filler_count
+            },
+            closed: !!row.sale_closed,
+            dealValue: Number(row.deal_value) || 0,
+            commission: Number(row.commission) || 0,
+            scenarioId: row.scenario_id || null,
+            drillObjection: row.drill_objection || null,
+            objectionResults: row.objection_results || [],
+            examMode: !!row.exam_mode,
+            coachingHints: row.coaching_hints || [],
+            voiceAnalytics: row.voice_analytics || null,
+            playbackMetrics: row.playback_metrics || null,
+            recordingPath: row.recording_path || null,
+            recordingStartedAt: row.recording_started_at || null,
+            messages: row.messages || [],
+            retryOf: row.retry_of || null,
+            retryTurn: row.retry_turn || null,
+            practicePlanId: row.practice_plan_id || null,
+            planItem: row.plan_item || null
+        };
+    }
+
+    function formatDuration(totalSeconds) {
+        const seconds = Math.max(0, Math.round(totalSeconds || 0));
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+
+    const ValtoriSessions = { SUMMARY_COLUMNS, fromRow, formatDuration };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ValtoriSessions;
+    } else {
+        root.ValtoriSessions = ValtoriSessions;
+    }
+})(typeof window !== 'undefined' ? window : this);
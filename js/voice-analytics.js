@@ -0,0 +1,203 @@
+// ===================
+// VALTORI VOICE ANALYTICS
+// ===================
+// Client-side voice activity detection on the rep's microphone. The capture
+// worklet in call.html reports each frame's RMS level; the tracker turns those
+// into a talk/listen timeline plus monologue, silence, response-latency,
+// volume and speaking-rate stats for results.html and call_sessions.voice_analytics.
+// Works in the browser (window.ValtoriVoiceAnalytics) and in Node (module.exports).
+
+(function (root) {
+    const DEFAULTS = {
+        minThreshold: 0.012, // RMS floor for speech, whatever the room noise
+        noiseMultiplier: 3, // Speech must be this many times louder than the noise floor
+        attackMs: 60, // Voiced audio needed before a rep segment opens
+        hangoverMs: 350, // Quiet allowed inside a segment (between words)
+        monologuePauseMs: 1500, // Rep pauses shorter than this don't end a monologue
+        silenceGapMs: 2000, // Dead air counted as a silence gap
+        maxResponseMs: 10000 // Slower than this isn't a response to the prospect
+    };
+
+    // Peak level counted as clipping; js/audio-meter.js warns live at the same level
+    const CLIP_LEVEL = 0.98;
+
+    function toDb(rms) {
+        return rms > 0 ? Math.round(20 * Math.log10(rms) * 10) / 10 : null;
+    }
+
+    class VoiceActivityTracker {
+        constructor(options = {}) {
+            this.options = Object.assign({}, DEFAULTS, options);
+            this.clockMs = 0; // Mic time since start, advanced by each frame's length
+            this.noiseFloor = this.options.minThreshold / this.options.noiseMultiplier;
+
+            this.repOpen = null; // { start, lastVoiced } while the rep is talking
+            this.voicedRunMs = 0;
+            this.prospectOpen = null; // Start time while prospect audio is playing
+            this.segments = []; // { speaker: 'rep' | 'prospect', start, end }
+
+            this.levelSum = 0;
+            this.levelFrames = 0;
+            this.peak = 0;
+            this.clippedFrames = 0;
+        }
+
+        // rms/peak are the frame's levels (0-1); prospectActive is whether prospect audio is playing
+        addFrame({ rms, peak = 0, durationMs, prospectActive = false }) {
+            const now = this.clockMs;
+            this.clockMs += durationMs;
+
+            this.trackProspect(prospectActive, now);
+
+            const threshold = Math.max(this.options.minThreshold, this.noiseFloor * this.options.noiseMultiplier);
+            const voiced = rms >= threshold;
+
+            if (!voiced && !this.repOpen) {
+                // Follow the room noise slowly upward, quickly downward
+                const rate = rms > this.noiseFloor ? 0.002 : 0.05;
+                this.noiseFloor += (rms - this.noiseFloor) * rate;
+            }
+
+            this.voicedRunMs = voiced ? this.voicedRunMs + durationMs : 0;
+
+            if (voiced) {
+                this.levelSum += rms;
+                this.levelFrames++;
+                this.peak = Math.max(this.peak, peak || rms);
+                if (peak >= CLIP_LEVEL) this.clippedFrames++;
+            }
+
+            if (this.repOpen) {
+                if (voiced) {
+                    this.repOpen.lastVoiced = this.clockMs;
+                } else if (this.clockMs - this.repOpen.lastVoiced >= this.options.hangoverMs) {
+                    this.closeRep();
+                }
+            } else if (this.voicedRunMs >= this.options.attackMs) {
+                const start = this.clockMs - this.voicedRunMs;
+                this.repOpen = { start, lastVoiced: this.clockMs };
+            }
+        }
+
+        trackProspect(active, now) {
+            if (active && this.prospectOpen === null) {
+                this.prospectOpen = now;
+            } else if (!active && this.prospectOpen !== null) {
+                this.segments.push({ speaker: 'prospect', start: this.prospectOpen, end: now });
+                this.prospectOpen = null;
+            }
+        }
+
+        closeRep() {
+            this.segments.push({ speaker: 'rep', start: this.repOpen.start, end: this.repOpen.lastVoiced });
+            this.repOpen = null;
+        }
+
+        isRepSpeaking() {
+            return this.repOpen !== null;
+        }
+
+        // Closes any open segments and summarizes the call. repWords comes from the
+        // transcript, for a speaking rate measured against actual voiced time.
+        finish({ repWords = 0 } = {}) {
+            if (this.repOpen) this.closeRep();
+            this.trackProspect(false, this.clockMs);
+
+            const timeline = this.segments
+                .filter(segment => segment.end > segment.start)
+                .sort((a, b) => a.start - b.start)
+                .map(segment => ({ speaker: segment.speaker, start: Math.round(segment.start), end: Math.round(segment.end) }));
+
+            const rep = timeline.filter(segment => segment.speaker === 'rep');
+            const prospect = timeline.filter(segment => segment.speaker === 'prospect');
+            const total = list => list.reduce((sum, segment) => sum + segment.end - segment.start, 0);
+            const repTalkMs = total(rep);
+            const prospectTalkMs = total(prospect);
+
+            return {
+                durationMs: Math.round(this.clockMs),
+                timeline,
+                repTalkMs,
+                prospectTalkMs,
+                talkRatio: repTalkMs + prospectTalkMs > 0
+                    ? Math.round(repTalkMs / (repTalkMs + prospectTalkMs) * 1000) / 1000
+                    : null,
+                longestMonologueMs: this.longestMonologue(rep, prospect),
+                silence: this.silenceGaps(timeline),
+                responseLatency: this.responseLatency(rep, prospect),
+                speakingRateWpm: repTalkMs > 0 && repWords > 0 ? Math.round(repWords / (repTalkMs / 60000)) : null,
+                volume: {
+                    avgDb: this.levelFrames ? toDb(this.levelSum / this.levelFrames) : null,
+                    peakDb: toDb(this.peak),
+                    clippedFrames: this.clippedFrames
+                }
+            };
+        }
+
+        // Rep segments separated by short pauses (and no prospect audio) count as one monologue
+        longestMonologue(rep, prospect) {
+            let longest = 0;
+            let run = null;
+
+            rep.forEach(segment => {
+                const interrupted = run && prospect.some(p => p.start < segment.start && p.end > run.end);
+                if (run && !interrupted && segment.start - run.end < this.options.monologuePauseMs) {
+                    run.end = segment.end;
+                } else {
+                    run = { start: segment.start, end: segment.end };
+                }
+                longest = Math.max(longest, run.end - run.start);
+            });
+
+            return longest;
+        }
+
+        // Stretches where neither side is speaking
+        silenceGaps(timeline) {
+            const gaps = [];
+            let coveredUntil = timeline.length ? timeline[0].start : 0;
+
+            timeline.forEach(segment => {
+                if (segment.start - coveredUntil >= this.options.silenceGapMs) {
+                    gaps.push(segment.start - coveredUntil);
+                }
+                coveredUntil = Math.max(coveredUntil, segment.end);
+            });
+
+            return {
+                count: gaps.length,
+                totalMs: gaps.reduce((sum, gap) => sum + gap, 0),
+                longestMs: gaps.length ? Math.max(...gaps) : 0
+            };
+        }
+
+        // Time from the prospect going quiet to the rep starting to answer
+        responseLatency(rep, prospect) {
+            const latencies = [];
+
+            prospect.forEach(turn => {
+                const reply = rep.find(segment => segment.start >= turn.end);
+                if (!reply) return;
+                const latency = reply.start - turn.end;
+                const nextProspect = prospect.find(p => p.start > turn.end);
+                if (latency <= this.options.maxResponseMs && (!nextProspect || nextProspect.start > reply.start)) {
+                    latencies.push(latency);
+                }
+            });
+
+            return {
+                count: latencies.length,
+                avgMs: latencies.length ? Math.round(latencies.reduce((a, b) => a + b, 0) / latencies.length) : null,
+                maxMs: latencies.length ? Math.max(...latencies) : null
+            };
+        }
+    }
+
+    const ValtoriVoiceAnalytics = { CLIP_LEVEL, VoiceActivityTracker, toDb };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ValtoriVoiceAnalytics;
+    } else {
+        root.ValtoriVoiceAnalytics = ValtoriVoiceAnalytics;
+    }
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,400 @@
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { WebSocketServer } = require('ws');
+const Objections = require('../js/objections.js');
+
+const PORT = process.env.PORT || 8080;
+const STATIC_ROOT = path.join(__dirname, '..');
+
+// ===================
+// AUDIO FORMAT
+// ===================
+
+// Same format as the production server: PCM16, mono, 24 kHz
+const SAMPLE_RATE = 24000;
+const CHUNK_SAMPLES = 2400; // 100ms per response.audio.delta
+const CHUNK_INTERVAL_MS = 60; // Stream a little faster than realtime, like the real API
+
+// Simple energy-based voice activity detection on the rep's microphone
+const VAD_THRESHOLD = 0.02;
+const VAD_START_MS = 100;
+const VAD_STOP_MS = 700;
+
+// Clients tag their mic stream in start/resume; older clients that don't are assumed to match
+function audioFormatError(format) {
+    if (!format) return null;
+    if (format.encoding !== 'pcm16' || format.sample_rate !== SAMPLE_RATE || format.channels !== 1) {
+        return `Unsupported audio_format ${JSON.stringify(format)}: expected pcm16, ${SAMPLE_RATE} Hz, mono`;
+    }
+    return null;
+}
+
+// ===================
+// PROSPECT SCRIPT
+// ===================
+
+const FILLER_LINES = [
+    'Mm-hm. Go on.',
+    'Okay, and how would that actually work for us?',
+    'I\'m not sure that\'s a priority right now.'
+];
+
+function objectionLine(id) {
+    const objection = Objections.getObjection(id) || Objections.getObjection('not interested');
+    return objection.prospectLine;
+}
+
+// Scripted prospect turns for a scenario from js/scenarios.js (or a generic call).
+// A drill skips the small talk and raises just the one objection.
+function buildScript(scenario, drill) {
+    const persona = scenario && scenario.persona ? scenario.persona : { name: 'Jordan' };
+
+    if (drill) {
+        return [
+            `Hello, ${persona.name} speaking.`,
+            objectionLine(drill),
+            'Hm. Okay, I\'m listening.',
+            'Alright, send over a time and we\'ll talk.'
+        ];
+    }
+
+    const objections = scenario && Array.isArray(scenario.objections) ? scenario.objections : ['not interested'];
+
+    return [
+        `Hello, ${persona.name} speaking.`,
+        'Who is this, and what is this about?',
+        ...objections.map(objectionLine),
+        'Alright, you\'ve got two minutes. What exactly are you offering?',
+        'Okay, that could actually help. What would the next step look like?',
+        'Sure, let\'s set up a follow-up call next week.'
+    ];
+}
+
+// ===================
+// SPEECH SYNTHESIS
+// ===================
+
+// Generates voice-like PCM16 audio: a harmonic tone shaped into one "syllable" per word
+function synthesizeSpeech(text) {
+    const words = text.split(/\s+/).filter(Boolean);
+    const wordSeconds = 0.32;
+    const totalSamples = Math.max(1, Math.round(Math.max(0.6, words.length * wordSeconds) * SAMPLE_RATE));
+    const wordSamples = Math.round(wordSeconds * SAMPLE_RATE);
+    const samples = new Int16Array(totalSamples);
+
+    for (let i = 0; i < totalSamples; i++) {
+        const t = i / SAMPLE_RATE;
+        const wordIndex = Math.floor(i / wordSamples);
+        const position = (i % wordSamples) / wordSamples;
+
+        // Each word rises and falls, with a short gap before the next one
+        const envelope = position < 0.85 ? Math.sin(Math.PI * position / 0.85) : 0;
+        const pitch = 130 + 20 * Math.sin(2 * Math.PI * 0.7 * t) + (wordIndex % 3) * 8;
+
+        let value = 0;
+        for (let harmonic = 1; harmonic <= 4; harmonic++) {
+            value += Math.sin(2 * Math.PI * pitch * harmonic * t) / harmonic;
+        }
+
+        samples[i] = Math.round(Math.max(-1, Math.min(1, value * 0.25 * envelope)) * 32767);
+    }
+
+    return samples;
+}
+
+function rms(int16) {
+    if (int16.length === 0) return 0;
+    let sum = 0;
+    for (let i = 0; i < int16.length; i++) {
+        const sample = int16[i] / 32768;
+        sum += sample * sample;
+    }
+    return Math.sqrt(sum / int16.length);
+}
+
+// ===================
+// CALL SESSION
+// ===================
+
+class StubSession {
+    constructor(ws) {
+        this.ws = ws;
+        this.id = 'sess_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 6);
+        this.script = buildScript(null);
+        this.turn = 0;
+        this.timers = new Set();
+        this.response = null; // { id, itemId } while a prospect turn is streaming
+        this.vad = { speaking: false, voicedMs: 0, silentMs: 0, speechMs: 0 };
+    }
+
+    send(message) {
+        if (this.ws.readyState === this.ws.OPEN) {
+            this.ws.send(JSON.stringify(message));
+        }
+    }
+
+    later(fn, ms) {
+        const timer = setTimeout(() => {
+            this.timers.delete(timer);
+            fn();
+        }, ms);
+        this.timers.add(timer);
+    }
+
+    close() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+    }
+
+    handleJson(message) {
+        if (message.type === 'start' || message.type === 'session.resume') {
+            const formatError = audioFormatError(message.audio_format);
+            if (formatError) {
+                this.send({ type: 'error', error: { message: formatError } });
+                return;
+            }
+        }
+
+        if (message.type === 'start') {
+            // A retry from results.html starts with the earlier turns already said
+            const messages = Array.isArray(message.messages) ? message.messages : [];
+            this.script = buildScript(message.scenario, message.drill);
+            this.turn = messages.filter(m => m.speaker === 'ai').length;
+            console.log(`[${this.id}] ▶️ Start (${message.scenario ? message.scenario.id : 'no scenario'}${message.drill ? `, drill: ${message.drill}` : ''}${messages.length ? `, after ${messages.length} messages` : ''})`);
+            this.send({ type: 'session.created', session: { id: this.id } });
+
+            const last = messages[messages.length - 1];
+            if (!last || last.speaker === 'user') {
+                this.later(() => this.respond(), 600);
+            }
+
+        } else if (message.type === 'session.resume') {
+            // Pick the script up after the last prospect turn the client already has
+            const messages = Array.isArray(message.messages) ? message.messages : [];
+            this.id = message.session_id || this.id;
+            this.script = buildScript(message.scenario, message.drill);
+            this.turn = messages.filter(m => m.speaker === 'ai').length;
+            console.log(`[${this.id}] 🔄 Resume after ${messages.length} messages`);
+            this.send({ type: 'session.created', session: { id: this.id, resumed: true } });
+
+            const last = messages[messages.length - 1];
+            if (!last || last.speaker === 'user') {
+                this.later(() => this.respond(), 500);
+            }
+
+        } else if (message.type === 'response.cancel') {
+            // Barge-in: stop streaming the current prospect turn
+            if (this.response) {
+                console.log(`[${this.id}] ✋ Response ${this.response.id} cancelled`);
+                this.send({ type: 'response.done', response: { id: this.response.id, status: 'cancelled' } });
+                this.response = null;
+            }
+
+        } else if (message.type === 'conversation.item.truncate') {
+            console.log(`[${this.id}] ✂️ Item ${message.item_id} heard for ${message.audio_end_ms}ms`);
+
+        } else if (message.type === 'input_text') {
+            // Stub-only: lets scripts and CI play a rep turn without a microphone
+            this.userTurn(String(message.text || ''));
+
+        } else {
+            this.send({ type: 'error', error: { message: `Unknown message type: ${message.type}` } });
+        }
+    }
+
+    handleAudio(buffer) {
+        // Copy out of the (possibly unaligned) Node buffer before viewing it as 16-bit samples
+        const byteLength = buffer.byteLength - (buffer.byteLength % 2);
+        const frame = new Int16Array(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + byteLength));
+        const frameMs = frame.length / SAMPLE_RATE * 1000;
+        const voiced = rms(frame) > VAD_THRESHOLD;
+        const vad = this.vad;
+
+        if (vad.speaking) {
+            vad.speechMs += frameMs;
+            vad.silentMs = voiced ? 0 : vad.silentMs + frameMs;
+
+            if (vad.silentMs >= VAD_STOP_MS) {
+                vad.speaking = false;
+                vad.voicedMs = 0;
+                this.send({ type: 'input_audio_buffer.speech_stopped' });
+                const seconds = ((vad.speechMs - vad.silentMs) / 1000).toFixed(1);
+                this.userTurn(`(rep speech, ${seconds}s)`);
+            }
+        } else {
+            vad.voicedMs = voiced ? vad.voicedMs + frameMs : 0;
+
+            if (vad.voicedMs >= VAD_START_MS) {
+                vad.speaking = true;
+                vad.silentMs = 0;
+                vad.speechMs = vad.voicedMs;
+                this.send({ type: 'input_audio_buffer.speech_started' });
+            }
+        }
+    }
+
+    userTurn(transcript) {
+        this.send({
+            type: 'conversation.item.created',
+            item: {
+                id: 'item_' + Date.now().toString(36),
+                type: 'message',
+                role: 'user',
+                content: [{ type: 'input_audio', transcript }]
+            }
+        });
+        this.later(() => this.respond(), 500);
+    }
+
+    // Streams the next scripted prospect line as text and audio deltas
+    respond() {
+        if (this.response) return;
+
+        const text = this.turn < this.script.length
+            ? this.script[this.turn]
+            : FILLER_LINES[(this.turn - this.script.length) % FILLER_LINES.length];
+        this.turn++;
+
+        const response = {
+            id: 'resp_' + Date.now().toString(36),
+            itemId: 'item_' + Date.now().toString(36) + 'a'
+        };
+        this.response = response;
+
+        const audio = synthesizeSpeech(text);
+        const words = text.split(' ');
+        const chunkCount = Math.ceil(audio.length / CHUNK_SAMPLES);
+        let wordsSent = 0;
+
+        console.log(`[${this.id}] 🗣️ Prospect: ${text}`);
+
+        for (let chunk = 0; chunk < chunkCount; chunk++) {
+            this.later(() => {
+                if (this.response !== response) return;
+
+                const slice = audio.subarray(chunk * CHUNK_SAMPLES, (chunk + 1) * CHUNK_SAMPLES);
+                this.send({
+                    type: 'response.audio.delta',
+                    response_id: response.id,
+                    item_id: response.itemId,
+                    delta: Buffer.from(slice.buffer, slice.byteOffset, slice.byteLength).toString('base64')
+                });
+
+                // Keep the text roughly in step with the audio
+                const wordsDue = Math.ceil(words.length * (chunk + 1) / chunkCount);
+                if (wordsDue > wordsSent) {
+                    const delta = (wordsSent > 0 ? ' ' : '') + words.slice(wordsSent, wordsDue).join(' ');
+                    wordsSent = wordsDue;
+                    this.send({ type: 'response.text.delta', response_id: response.id, item_id: response.itemId, delta });
+                }
+            }, chunk * CHUNK_INTERVAL_MS);
+        }
+
+        this.later(() => {
+            if (this.response !== response) return;
+
+            this.send({ type: 'response.text.done', response_id: response.id, item_id: response.itemId, text });
+            this.send({ type: 'response.done', response: { id: response.id, status: 'completed' } });
+            this.response = null;
+        }, chunkCount * CHUNK_INTERVAL_MS);
+    }
+}
+
+// ===================
+// STATIC FILES
+// ===================
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png'
+};
+
+// Top-level pages and the scripts they load; anything else is a 404
+const PUBLIC_PATHS = [
+    /^[a-z0-9-]+\.html$/i,
+    /^js\/[a-z0-9-]+\.js$/i
+];
+
+// Serves the Valtori pages so the whole call flow runs from one local origin
+const server = http.createServer((req, res) => {
+    let urlPath;
+    try {
+        urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    } catch (e) {
+        // Malformed escapes like /%E0%A4%A
+        res.writeHead(400);
+        return res.end('Bad request');
+    }
+    const relativePath = urlPath === '/' ? 'index.html' : urlPath.slice(1);
+
+    // Only the pages and js/, like api/server.js; the rest of the repo stays private
+    if (!PUBLIC_PATHS.some(pattern => pattern.test(relativePath))) {
+        res.writeHead(404);
+        return res.end('Not found');
+    }
+    const filePath = path.join(STATIC_ROOT, relativePath);
+
+    fs.readFile(filePath, (err, content) => {
+        if (err) {
+            res.writeHead(404);
+            return res.end('Not found');
+        }
+        res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+        res.end(content);
+    });
+});
+
+// ===================
+// WEBSOCKET SERVER
+// ===================
+
+const wss = new WebSocketServer({ server });
+
+wss.on('connection', (ws) => {
+    const session = new StubSession(ws);
+    console.log(`[${session.id}] 🔗 Client connected`);
+
+    ws.on('message', (data, isBinary) => {
+        if (isBinary) {
+            session.handleAudio(data);
+            return;
+        }
+
+        let message;
+        try {
+            message = JSON.parse(data.toString());
+        } catch (e) {
+            session.send({ type: 'error', error: { message: 'Invalid JSON message' } });
+            return;
+        }
+        // `null`, numbers and arrays parse fine but aren't protocol messages
+        if (!message || typeof message !== 'object' || Array.isArray(message)) {
+            session.send({ type: 'error', error: { message: 'Messages must be JSON objects with a type' } });
+            return;
+        }
+        session.handleJson(message);
+    });
+
+    ws.on('close', () => {
+        session.close();
+        console.log(`[${session.id}] 🔌 Client disconnected`);
+    });
+});
+
+// ===================
+// START SERVER
+// ===================
+
+if (require.main === module) {
+    server.listen(PORT, () => {
+        console.log(`🎧 Valtori realtime stub on ws://localhost:${PORT}`);
+        console.log(`📄 Open http://localhost:${PORT}/call.html?ws=ws://localhost:${PORT}`);
+    });
+}
+
+module.exports = { server, buildScript, synthesizeSpeech };
@@ -0,0 +1,5 @@
+-- Transcript-based scoring (js/scoring.js) stores the raw numbers behind each score
+alter table public.call_sessions
+    add column if not exists close_attempted boolean not null default false,
+    add column if not exists talk_ratio numeric(4, 3),
+    add column if not exists words_per_minute integer;
@@ -0,0 +1,6 @@
+-- Scenario the rep practiced (id from js/scenarios.js), for per-scenario comparisons
+alter table public.call_sessions
+    add column if not exists scenario_id text;
+
+create index if not exists call_sessions_user_scenario_idx
+    on public.call_sessions (user_id, scenario_id, created_at desc);
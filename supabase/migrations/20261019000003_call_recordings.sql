@@ -0,0 +1,16 @@
+-- Mixed rep + prospect audio for each call, stored as <user_id>/<uuid>.<ext>
+alter table public.call_sessions
+    add column if not exists recording_path text,
+    add column if not exists recording_started_at timestamptz;
+
+insert into storage.buckets (id, name, public)
+values ('call-recordings', 'call-recordings', false)
+on conflict (id) do nothing;
+
+create policy "Reps upload their own recordings"
+    on storage.objects for insert to authenticated
+    with check (bucket_id = 'call-recordings' and (storage.foldername(name))[1] = auth.uid()::text);
+
+create policy "Reps read their own recordings"
+    on storage.objects for select to authenticated
+    using (bucket_id = 'call-recordings' and (storage.foldername(name))[1] = auth.uid()::text);
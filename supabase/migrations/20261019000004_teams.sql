@@ -0,0 +1,210 @@
+-- Team workspaces: managers invite reps, assign required scenarios and see a
+-- leaderboard built from the team's call_sessions.
+
+create extension if not exists pgcrypto;
+
+create table if not exists public.organizations (
+    id uuid primary key default gen_random_uuid(),
+    name text not null check (char_length(name) between 1 and 100),
+    created_by uuid not null references auth.users (id) default auth.uid(),
+    created_at timestamptz not null default now()
+);
+
+create table if not exists public.organization_members (
+    organization_id uuid not null references public.organizations (id) on delete cascade,
+    user_id uuid not null references auth.users (id) on delete cascade,
+    user_email text,
+    role text not null default 'rep' check (role in ('manager', 'rep')),
+    joined_at timestamptz not null default now(),
+    primary key (organization_id, user_id)
+);
+
+-- Shared as a link (team.html?invite=<token>); the invitee must sign in with the invited email
+create table if not exists public.organization_invitations (
+    id uuid primary key default gen_random_uuid(),
+    organization_id uuid not null references public.organizations (id) on delete cascade,
+    email text not null,
+    role text not null default 'rep' check (role in ('manager', 'rep')),
+    token text not null unique default encode(gen_random_bytes(16), 'hex'),
+    invited_by uuid not null references auth.users (id) default auth.uid(),
+    accepted_at timestamptz,
+    created_at timestamptz not null default now()
+);
+
+-- assigned_to null means every rep on the team
+create table if not exists public.scenario_assignments (
+    id uuid primary key default gen_random_uuid(),
+    organization_id uuid not null references public.organizations (id) on delete cascade,
+    scenario_id text not null,
+    assigned_to uuid references auth.users (id) on delete cascade,
+    due_date date,
+    created_by uuid not null references auth.users (id) default auth.uid(),
+    created_at timestamptz not null default now()
+);
+
+alter table public.call_sessions
+    add column if not exists organization_id uuid references public.organizations (id) on delete set null;
+
+create index if not exists call_sessions_organization_idx
+    on public.call_sessions (organization_id, created_at desc);
+
+-- ===================
+-- HELPERS
+-- ===================
+-- security definer so policies can check membership without recursing into RLS
+
+create or replace function public.is_org_member(org uuid)
+returns boolean language sql stable security definer set search_path = public as $$
+    select exists (
+        select 1 from organization_members where organization_id = org and user_id = auth.uid()
+    );
+$$;
+
+create or replace function public.is_org_manager(org uuid)
+returns boolean language sql stable security definer set search_path = public as $$
+    select exists (
+        select 1 from organization_members
+        where organization_id = org and user_id = auth.uid() and role = 'manager'
+    );
+$$;
+
+create or replace function public.create_organization(org_name text)
+returns uuid language plpgsql security definer set search_path = public as $$
+declare
+    new_id uuid;
+begin
+    if auth.uid() is null then
+        raise exception 'Not signed in';
+    end if;
+
+    insert into organizations (name, created_by) values (org_name, auth.uid()) returning id into new_id;
+    insert into organization_members (organization_id, user_id, user_email, role)
+    values (new_id, auth.uid(), auth.jwt() ->> 'email', 'manager');
+    return new_id;
+end;
+$$;
+
+create or replace function public.accept_invitation(invite_token text)
+returns uuid language plpgsql security definer set search_path = public as $$
+declare
+    invite organization_invitations;
+begin
+    select * into invite from organization_invitations where token = invite_token and accepted_at is null;
+
+    if invite.id is null then
+        raise exception 'This invitation is invalid or has already been used';
+    end if;
+
+    if lower(invite.email) <> lower(auth.jwt() ->> 'email') then
+        raise exception 'This invitation was sent to a different email address';
+    end if;
+
+    insert into organization_members (organization_id, user_id, user_email, role)
+    values (invite.organization_id, auth.uid(), auth.jwt() ->> 'email', invite.role)
+    on conflict (organization_id, user_id) do update set role = excluded.role;
+
+    update organization_invitations set accepted_at = now() where id = invite.id;
+    return invite.organization_id;
+end;
+$$;
+
+-- Per-rep stats for the team's calls since a given time (null = all time)
+create or replace function public.team_leaderboard(org uuid, since timestamptz default null)
+returns table (
+    user_id uuid,
+    user_email text,
+    role text,
+    calls bigint,
+    avg_overall_score numeric,
+    close_rate numeric,
+    practice_minutes numeric
+) language sql stable security definer set search_path = public as $$
+    select
+        m.user_id,
+        m.user_email,
+        m.role,
+        count(s.id) as calls,
+        round(avg(s.overall_score), 1) as avg_overall_score,
+        round(avg(case when s.sale_closed then 1.0 else 0.0 end) * 100, 1) as close_rate,
+        round(coalesce(sum(s.duration), 0) / 60.0, 1) as practice_minutes
+    from organization_members m
+    left join call_sessions s
+        on s.user_id = m.user_id
+        and s.organization_id = org
+        and (since is null or s.created_at >= since)
+    where m.organization_id = org
+        and is_org_member(org)
+    group by m.user_id, m.user_email, m.role
+    order by avg_overall_score desc nulls last, calls desc;
+$$;
+
+-- ===================
+-- ROW LEVEL SECURITY
+-- ===================
+
+alter table public.organizations enable row level security;
+alter table public.organization_members enable row level security;
+alter table public.organization_invitations enable row level security;
+alter table public.scenario_assignments enable row level security;
+
+create policy "Members read their organization"
+    on public.organizations for select to authenticated
+    using (is_org_member(id));
+
+create policy "Managers rename their organization"
+    on public.organizations for update to authenticated
+    using (is_org_manager(id));
+
+create policy "Members read their teammates"
+    on public.organization_members for select to authenticated
+    using (is_org_member(organization_id));
+
+create policy "Managers remove members"
+    on public.organization_members for delete to authenticated
+    using (is_org_manager(organization_id) and user_id <> auth.uid());
+
+create policy "Managers read invitations"
+    on public.organization_invitations for select to authenticated
+    using (is_org_manager(organization_id));
+
+create policy "Managers create invitations"
+    on public.organization_invitations for insert to authenticated
+    with check (is_org_manager(organization_id) and invited_by = auth.uid());
+
+create policy "Managers revoke invitations"
+    on public.organization_invitations for delete to authenticated
+    using (is_org_manager(organization_id));
+
+create policy "Members read assignments"
+    on public.scenario_assignments for select to authenticated
+    using (is_org_member(organization_id));
+
+create policy "Managers create assignments"
+    on public.scenario_assignments for insert to authenticated
+    with check (is_org_manager(organization_id) and created_by = auth.uid());
+
+create policy "Managers remove assignments"
+    on public.scenario_assignments for delete to authenticated
+    using (is_org_manager(organization_id));
+
+create policy "Managers read their team's sessions"
+    on public.call_sessions for select to authenticated
+    using (organization_id is not null and is_org_manager(organization_id));
+
+-- Reps can only file sessions under a team they belong to
+create or replace function public.check_session_organization()
+returns trigger language plpgsql security definer set search_path = public as $$
+begin
+    if new.organization_id is not null and not exists (
+        select 1 from organization_members where organization_id = new.organization_id and user_id = new.user_id
+    ) then
+        raise exception 'Session user is not a member of this organization';
+    end if;
+    return new;
+end;
+$$;
+
+drop trigger if exists call_sessions_check_organization on public.call_sessions;
+create trigger call_sessions_check_organization
+    before insert or update of organization_id on public.call_sessions
+    for each row execute function public.check_session_organization();
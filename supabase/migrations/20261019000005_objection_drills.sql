@@ -0,0 +1,11 @@
+-- Objection handling (js/objections.js): the objection drilled, if the call was a
+-- drill, and how the rep handled each objection the prospect raised.
+-- objection_results is an array of { objection, label, raised, prospectLine,
+-- response, score, handled, criteria: [{ id, label, met }] }
+alter table public.call_sessions
+    add column if not exists drill_objection text,
+    add column if not exists objection_results jsonb not null default '[]'::jsonb;
+
+-- Lets the history and team views pull every graded attempt at an objection
+create index if not exists call_sessions_objection_results_idx
+    on public.call_sessions using gin (objection_results jsonb_path_ops);
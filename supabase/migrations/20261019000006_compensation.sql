@@ -0,0 +1,51 @@
+-- Commission model (js/compensation.js). A team can override the commission
+-- rate, monthly quota and per-scenario deal values; each session keeps the deal
+-- value and commission it was scored at, so changing the plan doesn't rewrite history.
+alter table public.organizations
+    add column if not exists commission_rate numeric(5, 4) check (commission_rate between 0 and 1),
+    add column if not exists monthly_quota numeric(12, 2) check (monthly_quota >= 0),
+    add column if not exists deal_values jsonb not null default '{}'::jsonb;
+
+-- The existing manager update policy now covers the comp settings too
+alter policy "Managers rename their organization" on public.organizations
+    rename to "Managers update their organization";
+
+alter table public.call_sessions
+    add column if not exists deal_value numeric(12, 2) not null default 0,
+    add column if not exists commission numeric(12, 2) not null default 0;
+
+-- The leaderboard now also totals each rep's practice pipeline
+drop function if exists public.team_leaderboard(uuid, timestamptz);
+
+create function public.team_leaderboard(org uuid, since timestamptz default null)
+returns table (
+    user_id uuid,
+    user_email text,
+    role text,
+    calls bigint,
+    avg_overall_score numeric,
+    close_rate numeric,
+    practice_minutes numeric,
+    closed_value numeric,
+    commission numeric
+) language sql stable security definer set search_path = public as $$
+    select
+        m.user_id,
+        m.user_email,
+        m.role,
+        count(s.id) as calls,
+        round(avg(s.overall_score), 1) as avg_overall_score,
+        round(avg(case when s.sale_closed then 1.0 else 0.0 end) * 100, 1) as close_rate,
+        round(coalesce(sum(s.duration), 0) / 60.0, 1) as practice_minutes,
+        coalesce(sum(s.deal_value) filter (where s.sale_closed), 0) as closed_value,
+        coalesce(sum(s.commission) filter (where s.sale_closed), 0) as commission
+    from organization_members m
+    left join call_sessions s
+        on s.user_id = m.user_id
+        and s.organization_id = org
+        and (since is null or s.created_at >= since)
+    where m.organization_id = org
+        and is_org_member(org)
+    group by m.user_id, m.user_email, m.role
+    order by avg_overall_score desc nulls last, calls desc;
+$$;
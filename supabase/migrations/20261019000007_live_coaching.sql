@@ -0,0 +1,6 @@
+-- Live coaching (js/coaching.js): whether the call was an unassisted exam, and
+-- the hints the rep was shown ([{ rule, text, at }]), so assisted and exam
+-- scores can be told apart.
+alter table public.call_sessions
+    add column if not exists exam_mode boolean not null default false,
+    add column if not exists coaching_hints jsonb not null default '[]'::jsonb;
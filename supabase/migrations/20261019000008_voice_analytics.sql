@@ -0,0 +1,12 @@
+-- Voice activity analytics from the capture worklet (js/voice-analytics.js):
+-- talk/listen timeline, longest monologue, silence gaps, response latency,
+-- speaking rate and mic volume. Null for calls made before this existed.
+alter table public.call_sessions
+    add column if not exists voice_analytics jsonb;
+
+-- Pulled out of the JSON for trend queries across calls
+alter table public.call_sessions
+    add column if not exists longest_monologue_ms integer
+        generated always as ((voice_analytics ->> 'longestMonologueMs')::integer) stored,
+    add column if not exists avg_response_latency_ms integer
+        generated always as ((voice_analytics -> 'responseLatency' ->> 'avgMs')::integer) stored;
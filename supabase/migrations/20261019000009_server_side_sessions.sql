@@ -0,0 +1,4 @@
+-- Sessions are scored and written by api/server.js with the service role.
+-- Reps keep read access through their existing policies, but can no longer
+-- insert or edit rows (and so can't set their own scores) from the browser.
+revoke insert, update on public.call_sessions from anon, authenticated;
@@ -0,0 +1,70 @@
+-- Read-only share links for a call (results.html?share=<token>), so a rep can
+-- send one call to a manager or mentor. Anyone with the token can view it
+-- until the owner revokes the link.
+
+-- call_sessions predates these migrations, so match whatever type its id has
+do $$
+declare
+    session_id_type text;
+begin
+    select format_type(atttypid, atttypmod) into session_id_type
+    from pg_attribute
+    where attrelid = 'public.call_sessions'::regclass and attname = 'id';
+
+    execute format($table$
+        create table if not exists public.session_shares (
+            id uuid primary key default gen_random_uuid(),
+            session_id %s not null references public.call_sessions (id) on delete cascade,
+            token text not null unique default encode(gen_random_bytes(16), 'hex'),
+            created_by uuid not null references auth.users (id) default auth.uid(),
+            created_at timestamptz not null default now(),
+            revoked_at timestamptz
+        )
+    $table$, session_id_type);
+end;
+$$;
+
+create index if not exists session_shares_session_idx
+    on public.session_shares (session_id);
+
+-- The one session behind a live token; security definer because the viewer
+-- may not be signed in and never has read access to the row itself
+create or replace function public.shared_session(share_token text)
+returns setof public.call_sessions language sql stable security definer set search_path = public as $$
+    select s.*
+    from session_shares sh
+    join call_sessions s on s.id = sh.session_id
+    where sh.token = share_token
+        and sh.revoked_at is null;
+$$;
+
+grant execute on function public.shared_session(text) to anon, authenticated;
+
+-- ===================
+-- ROW LEVEL SECURITY
+-- ===================
+
+alter table public.session_shares enable row level security;
+
+create policy "Owners read their share links"
+    on public.session_shares for select to authenticated
+    using (created_by = auth.uid());
+
+create policy "Owners share their own sessions"
+    on public.session_shares for insert to authenticated
+    with check (
+        created_by = auth.uid()
+        and exists (
+            select 1 from call_sessions s
+            where s.id = session_shares.session_id and s.user_id = auth.uid()
+        )
+    );
+
+create policy "Owners revoke their share links"
+    on public.session_shares for update to authenticated
+    using (created_by = auth.uid())
+    with check (created_by = auth.uid());
+
+-- Revoking is the only edit: the token and session can't be swapped afterwards
+revoke update on public.session_shares from authenticated;
+grant update (revoked_at) on public.session_shares to authenticated;
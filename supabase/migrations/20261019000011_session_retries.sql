@@ -0,0 +1,27 @@
+-- Replay-from-moment: a call restarted from one turn of an earlier call
+-- (call.html?retry=<session id>&turn=<n>) records which call it retried and
+-- from which transcript turn, so results.html can compare the two attempts.
+-- Turns are numbered from 1 over the messages that have text; the retry's own
+-- messages start with the earlier turns, flagged { seeded: true }.
+
+-- Same type as call_sessions.id, which predates these migrations
+do $$
+declare
+    session_id_type text;
+begin
+    select format_type(atttypid, atttypmod) into session_id_type
+    from pg_attribute
+    where attrelid = 'public.call_sessions'::regclass and attname = 'id';
+
+    execute format($column$
+        alter table public.call_sessions
+            add column if not exists retry_of %s references public.call_sessions (id) on delete set null,
+            add column if not exists retry_turn integer
+    $column$, session_id_type);
+end;
+$$;
+
+-- results.html lists every retry of the call on screen
+create index if not exists call_sessions_retry_of_idx
+    on public.call_sessions (retry_of)
+    where retry_of is not null;
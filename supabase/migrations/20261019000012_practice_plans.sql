@@ -0,0 +1,36 @@
+-- Weekly practice plans (js/practice-plan.js): one per rep per week, built on
+-- the home page from their weakest skills. focus is
+-- [{ skill, label, baseline, target }] and items is
+-- [{ id, skill, label, scenarioId, drill, due }] with due as a 'YYYY-MM-DD' date.
+create table if not exists public.practice_plans (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null references auth.users (id) on delete cascade default auth.uid(),
+    week_start date not null,
+    focus jsonb not null default '[]'::jsonb,
+    items jsonb not null default '[]'::jsonb,
+    created_at timestamptz not null default now(),
+    unique (user_id, week_start)
+);
+
+-- A call started from a plan item (call.html?plan=<id>&item=<item id>) marks it done
+alter table public.call_sessions
+    add column if not exists practice_plan_id uuid references public.practice_plans (id) on delete set null,
+    add column if not exists plan_item text;
+
+create index if not exists call_sessions_practice_plan_idx
+    on public.call_sessions (practice_plan_id)
+    where practice_plan_id is not null;
+
+-- ===================
+-- ROW LEVEL SECURITY
+-- ===================
+
+alter table public.practice_plans enable row level security;
+
+create policy "Reps read their practice plans"
+    on public.practice_plans for select to authenticated
+    using (user_id = auth.uid());
+
+create policy "Reps create their practice plans"
+    on public.practice_plans for insert to authenticated
+    with check (user_id = auth.uid());
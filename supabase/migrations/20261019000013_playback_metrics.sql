@@ -0,0 +1,5 @@
+-- How the prospect's audio played back on the rep's side (js/playback.js
+-- StreamingPlayer.getMetrics()): chunks, underruns, gapMs, maxBufferedMs,
+-- avgStartLatencyMs and maxStartLatencyMs. Null for older calls.
+alter table public.call_sessions
+    add column if not exists playback_metrics jsonb;
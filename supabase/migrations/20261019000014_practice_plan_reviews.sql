@@ -0,0 +1,6 @@
+-- Spaced review schedule carried from one week's practice plan to the next
+-- (js/practice-plan.js nextReviews): { skill: { label, interval, lastResult,
+-- lastScore, nextReview } } with interval in weeks, lastResult 'pass' or
+-- 'fail' and nextReview a 'YYYY-MM-DD' week start. Empty for older plans.
+alter table public.practice_plans
+    add column if not exists reviews jsonb not null default '{}'::jsonb;
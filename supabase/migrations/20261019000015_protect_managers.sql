@@ -0,0 +1,35 @@
+-- Invites and removals can't take a team's managers away.
+-- Accepting an invitation only ever raises a role: a "rep" invite sent to
+-- someone who is already a manager leaves them a manager. And managers can
+-- only remove reps, so no manager can remove another (or the last one).
+
+create or replace function public.accept_invitation(invite_token text)
+returns uuid language plpgsql security definer set search_path = public as $$
+declare
+    invite organization_invitations;
+begin
+    select * into invite from organization_invitations where token = invite_token and accepted_at is null;
+
+    if invite.id is null then
+        raise exception 'This invitation is invalid or has already been used';
+    end if;
+
+    if lower(invite.email) <> lower(auth.jwt() ->> 'email') then
+        raise exception 'This invitation was sent to a different email address';
+    end if;
+
+    insert into organization_members (organization_id, user_id, user_email, role)
+    values (invite.organization_id, auth.uid(), auth.jwt() ->> 'email', invite.role)
+    on conflict (organization_id, user_id) do update set role = excluded.role
+        where excluded.role = 'manager';
+
+    update organization_invitations set accepted_at = now() where id = invite.id;
+    return invite.organization_id;
+end;
+$$;
+
+drop policy if exists "Managers remove members" on public.organization_members;
+
+create policy "Managers remove reps"
+    on public.organization_members for delete to authenticated
+    using (is_org_manager(organization_id) and role = 'rep' and user_id <> auth.uid());
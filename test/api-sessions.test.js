@@ -0,0 +1,98 @@
+// Run from the repo root: node --test test/ (needs `npm install` in api/ first)
+// POST /api/sessions rejects coaching hints and voice analytics that aren't
+// the shapes call.html sends, before anything reaches the database.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const TOKEN = 'test-access-token';
+const USER = { id: '00000000-0000-4000-8000-000000000001', email: 'rep@example.com', aud: 'authenticated' };
+
+let auth;
+let api;
+let baseUrl;
+
+// Stands in for Supabase Auth: GET /auth/v1/user answers for TOKEN only
+function startFakeAuth() {
+    return new Promise(resolve => {
+        const server = http.createServer((req, res) => {
+            const ok = req.url.startsWith('/auth/v1/user') && req.headers.authorization === `Bearer ${TOKEN}`;
+            res.writeHead(ok ? 200 : 401, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(ok ? USER : { message: 'invalid token' }));
+        });
+        server.listen(0, '127.0.0.1', () => resolve(server));
+    });
+}
+
+test.before(async () => {
+    auth = await startFakeAuth();
+    process.env.SUPABASE_URL = `http://127.0.0.1:${auth.address().port}`;
+    process.env.SUPABASE_SERVICE_ROLE_KEY = 'test-service-role-key';
+    process.env.ANTHROPIC_API_KEY = 'test-anthropic-key';
+
+    const app = require('../api/server.js');
+    await new Promise(resolve => {
+        api = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${api.address().port}`;
+});
+
+test.after(() => {
+    api.close();
+    auth.close();
+});
+
+function postCall(extra) {
+    return fetch(`${baseUrl}/api/sessions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${TOKEN}` },
+        body: JSON.stringify(Object.assign({
+            messages: [
+                { speaker: 'ai', text: 'Hello?', timestamp: 1 },
+                { speaker: 'user', text: 'Hi, quick question.', timestamp: 2 }
+            ],
+            duration: 30
+        }, extra))
+    });
+}
+
+const HINT = { rule: 'fillers', text: 'Pause instead.', at: 1000 };
+
+[
+    ['hints that are not an array', { coachingHints: { rule: 'fillers' } }],
+    ['a hint with an unknown rule', { coachingHints: [Object.assign({}, HINT, { rule: 'made-up' })] }],
+    ['a hint with extra fields', { coachingHints: [Object.assign({}, HINT, { html: '<img src=x>' })] }],
+    ['a hint with overlong text', { coachingHints: [Object.assign({}, HINT, { text: 'x'.repeat(301) })] }],
+    ['too many hints', { coachingHints: new Array(201).fill(HINT) }]
+].forEach(([name, extra]) => {
+    test(`${name} get a 400`, async () => {
+        const response = await postCall(extra);
+        const body = await response.json();
+        assert.equal(response.status, 400);
+        assert.match(body.error, /coachingHints/);
+    });
+});
+
+[
+    ['analytics with an unknown field', { voiceAnalytics: { durationMs: 1000, notes: 'anything' } }],
+    ['analytics with a non-numeric value', { voiceAnalytics: { longestMonologueMs: '12' } }],
+    ['an analytics group with extra fields', { voiceAnalytics: { volume: { avgDb: -20, payload: [] } } }],
+    ['a timeline segment with a bad speaker', { voiceAnalytics: { timeline: [{ speaker: 'admin', start: 0, end: 10 }] } }],
+    ['a timeline that is too long', { voiceAnalytics: { timeline: new Array(5001).fill({ speaker: 'rep', start: 0, end: 10 }) } }]
+].forEach(([name, extra]) => {
+    test(`${name} gets a 400`, async () => {
+        const response = await postCall(extra);
+        const body = await response.json();
+        assert.equal(response.status, 400);
+        assert.match(body.error, /voiceAnalytics/);
+    });
+});
+
+test('requests without a valid token get a 401 before validation', async () => {
+    const response = await fetch(`${baseUrl}/api/sessions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: 'Bearer wrong' },
+        body: JSON.stringify({ coachingHints: 'bad' })
+    });
+    assert.equal(response.status, 401);
+});
@@ -0,0 +1,32 @@
+// Run from the repo root: node --test test/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Compensation = require('../js/compensation.js');
+
+const SCENARIO = { id: 'saas-ops-manager', dealValue: 20000 };
+
+test('a team\'s zero settings are kept, not replaced by defaults', () => {
+    const plan = Compensation.resolvePlan(SCENARIO, {
+        commission_rate: 0,
+        monthly_quota: 0,
+        deal_values: { 'saas-ops-manager': 0 }
+    });
+    assert.deepEqual(plan, { dealValue: 0, commissionRate: 0, monthlyQuota: 0 });
+    assert.deepEqual(Compensation.payout(plan, true), { dealValue: 0, commission: 0 });
+});
+
+test('a zero quota pipeline has no attainment instead of the default quota', () => {
+    const pipeline = Compensation.pipeline([{ sale_closed: true, deal_value: 5000, commission: 500 }], 0);
+    assert.equal(pipeline.quota, 0);
+    assert.equal(pipeline.attainment, 0);
+});
+
+test('unset, blank and negative settings fall back', () => {
+    [null, undefined, '', -1, 'abc'].forEach(value => {
+        const plan = Compensation.resolvePlan(SCENARIO, { commission_rate: value, monthly_quota: value });
+        assert.equal(plan.commissionRate, Compensation.DEFAULTS.commissionRate, `rate ${value}`);
+        assert.equal(plan.monthlyQuota, Compensation.DEFAULTS.monthlyQuota, `quota ${value}`);
+        assert.equal(Compensation.pipeline([], value).quota, Compensation.DEFAULTS.monthlyQuota, `pipeline quota ${value}`);
+    });
+    assert.equal(Compensation.resolvePlan(SCENARIO, { deal_values: { 'saas-ops-manager': -5 } }).dealValue, SCENARIO.dealValue);
+});
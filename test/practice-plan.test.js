@@ -0,0 +1,108 @@
+// Run from the repo root: node --test test/
+// Spaced review across weeks in js/practice-plan.js.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PracticePlan = require('../js/practice-plan.js');
+
+const WEEK_1 = '2026-10-05'; // Mondays
+const WEEK_2 = '2026-10-12';
+const WEEK_3 = '2026-10-19';
+
+// One call where every core skill scores `score`, except the overrides
+function call(score, overrides = {}) {
+    return Object.assign({
+        confidence_score: score,
+        clarity_score: score,
+        pacing_score: score,
+        filler_count: (100 - score) / 5
+    }, overrides);
+}
+
+// A saved plan: focus built from `sessions` in the week of `today`
+function savedPlan(sessions, options) {
+    const built = PracticePlan.buildPlan(sessions, options);
+    return { id: `plan-${built.weekStart}`, week_start: built.weekStart, focus: built.focus, items: built.items, reviews: built.reviews };
+}
+
+function focusSkills(plan) {
+    return plan.focus.map(goal => goal.skill);
+}
+
+test('a first plan has no review history and focuses the weakest skills', () => {
+    const plan = PracticePlan.buildPlan([call(80, { confidence_score: 40, clarity_score: 60 })], { today: WEEK_1 });
+    assert.deepEqual(plan.reviews, {});
+    assert.deepEqual(focusSkills(plan), ['confidence', 'clarity', 'pacing']);
+});
+
+test('reaching a goal doubles the interval and a miss resets it to a week', () => {
+    const week1 = savedPlan([call(80, { confidence_score: 40, clarity_score: 60 })], { today: WEEK_1 });
+    // Confidence and pacing hit their targets that week, clarity didn't
+    const reviews = PracticePlan.nextReviews(week1, [call(85, { confidence_score: 55, clarity_score: 60 })]);
+
+    assert.deepEqual(
+        { interval: reviews.confidence.interval, lastResult: reviews.confidence.lastResult, nextReview: reviews.confidence.nextReview },
+        { interval: 2, lastResult: 'pass', nextReview: WEEK_3 }
+    );
+    assert.deepEqual(
+        { interval: reviews.clarity.interval, lastResult: reviews.clarity.lastResult, nextReview: reviews.clarity.nextReview },
+        { interval: 1, lastResult: 'fail', nextReview: WEEK_2 }
+    );
+
+    const longer = PracticePlan.nextReviews(
+        Object.assign({}, week1, { reviews: { confidence: { interval: 4, lastResult: 'pass', nextReview: WEEK_1 } } }),
+        [call(85, { confidence_score: 55 })]
+    );
+    assert.equal(longer.confidence.interval, PracticePlan.MAX_INTERVAL_WEEKS);
+
+    const reset = PracticePlan.nextReviews(
+        Object.assign({}, week1, { reviews: { confidence: { interval: 4, lastResult: 'pass', nextReview: WEEK_1 } } }),
+        [call(85, { confidence_score: 40 })]
+    );
+    assert.equal(reset.confidence.interval, 1);
+});
+
+test('a skill without calls that week counts as a miss', () => {
+    const week1 = savedPlan([call(60)], { today: WEEK_1 });
+    const reviews = PracticePlan.nextReviews(week1, []);
+    focusSkills(week1).forEach(skill => assert.equal(reviews[skill].lastResult, 'fail'));
+});
+
+test('a passed skill skips the weeks until its next review, then comes back', () => {
+    const recent = [call(80, { confidence_score: 40, clarity_score: 60 })];
+    const week1 = savedPlan(recent, { today: WEEK_1 });
+    const week1Calls = [call(85, { confidence_score: 55, clarity_score: 60 })];
+
+    const week2 = savedPlan(recent, { today: WEEK_2, previous: week1, previousSessions: week1Calls });
+    assert.ok(!focusSkills(week2).includes('confidence'), 'confidence rests a week after a pass');
+    assert.ok(focusSkills(week2).includes('clarity'), 'clarity comes straight back after a miss');
+    assert.equal(week2.reviews.confidence.interval, 2);
+
+    // Week 3 carries confidence's schedule even though it wasn't a focus in week 2
+    const week3 = PracticePlan.buildPlan(recent, { today: WEEK_3, previous: week2, previousSessions: [] });
+    assert.ok(focusSkills(week3).includes('confidence'), 'confidence is due again');
+    assert.equal(week3.reviews.confidence.interval, 2);
+});
+
+test('when nothing is due the week is check-in calls and every skill keeps resting', () => {
+    const previous = {
+        id: 'plan-1',
+        week_start: WEEK_1,
+        focus: [],
+        items: [],
+        reviews: {
+            confidence: { interval: 4, lastResult: 'pass', nextReview: '2026-11-02' },
+            clarity: { interval: 2, lastResult: 'pass', nextReview: '2026-10-26' },
+            pacing: { interval: 4, lastResult: 'pass', nextReview: '2026-11-02' },
+            fillers: { interval: 8, lastResult: 'pass', nextReview: '2026-11-30' }
+        }
+    };
+    const plan = PracticePlan.buildPlan([call(70)], { today: WEEK_3, previous, previousSessions: [] });
+
+    assert.deepEqual(plan.focus, []);
+    assert.ok(plan.items.length > 0);
+    plan.items.forEach(item => {
+        assert.equal(item.skill, null);
+        assert.match(item.label, /^Check-in call: /);
+    });
+    assert.deepEqual(plan.reviews, previous.reviews, 'intervals and next reviews are unchanged');
+});
@@ -0,0 +1,137 @@
+// Run from the repo root: node --test test/
+// Synthetic signals through js/resampler.js and the capture worklet that uses it.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { StreamResampler, PacketBatcher } = require('../js/resampler.js');
+
+const TARGET_RATE = 24000;
+const PACKET_SAMPLES = 480; // 20 ms at 24 kHz, as call.html asks for
+
+function sine(rate, frequency, amplitude, seconds) {
+    const samples = new Float32Array(Math.round(rate * seconds));
+    for (let i = 0; i < samples.length; i++) {
+        samples[i] = amplitude * Math.sin(2 * Math.PI * frequency * i / rate);
+    }
+    return samples;
+}
+
+// Feeds input through in chunks, the way the worklet gets 128-frame render quanta
+function resample(input, inputRate, chunkSize = 128) {
+    const resampler = new StreamResampler(inputRate, TARGET_RATE);
+    const parts = [];
+    for (let offset = 0; offset < input.length; offset += chunkSize) {
+        parts.push(resampler.process(input.subarray(offset, offset + chunkSize)));
+    }
+    const output = new Float32Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    parts.forEach(part => {
+        output.set(part, offset);
+        offset += part.length;
+    });
+    return output;
+}
+
+// Skips the filter's warm-up so only the steady state is measured
+function steady(samples) {
+    return samples.subarray(Math.round(samples.length * 0.1));
+}
+
+function peakAmplitude(samples) {
+    return Math.sqrt(2 * samples.reduce((sum, s) => sum + s * s, 0) / samples.length);
+}
+
+// Rising zero crossings, interpolated between samples
+function frequencyOf(samples, rate) {
+    const crossings = [];
+    for (let i = 1; i < samples.length; i++) {
+        if (samples[i - 1] < 0 && samples[i] >= 0) {
+            crossings.push(i - 1 + samples[i - 1] / (samples[i - 1] - samples[i]));
+        }
+    }
+    const cycles = crossings.length - 1;
+    return cycles * rate / (crossings[crossings.length - 1] - crossings[0]);
+}
+
+[44100, 48000, 16000].forEach(rate => {
+    test(`a 1 kHz tone at ${rate} Hz keeps its frequency and amplitude`, () => {
+        const output = steady(resample(sine(rate, 1000, 0.5, 1), rate));
+
+        assert.ok(Math.abs(frequencyOf(output, TARGET_RATE) - 1000) < 1, 'frequency');
+        assert.ok(Math.abs(peakAmplitude(output) - 0.5) < 0.02, 'amplitude');
+    });
+
+    test(`output length matches the ${rate} Hz to ${TARGET_RATE} Hz ratio`, () => {
+        const output = resample(sine(rate, 1000, 0.5, 1), rate);
+        assert.ok(Math.abs(output.length - TARGET_RATE) <= 1);
+    });
+});
+
+test('output does not depend on the input chunk size', () => {
+    const input = sine(44100, 1000, 0.5, 0.5);
+    const reference = resample(input, 44100, 128);
+
+    [1, 97, 128, 1000, input.length].forEach(chunkSize => {
+        const output = resample(input, 44100, chunkSize);
+        assert.equal(output.length, reference.length, `length with ${chunkSize}-sample chunks`);
+        for (let i = 0; i < output.length; i++) {
+            assert.ok(Math.abs(output[i] - reference[i]) < 1e-6, `sample ${i} with ${chunkSize}-sample chunks`);
+        }
+    });
+});
+
+test('tones above the new Nyquist frequency are filtered out instead of aliasing', () => {
+    // 18 kHz would fold back to 6 kHz at 24 kHz without the low-pass filter
+    [44100, 48000].forEach(rate => {
+        const output = steady(resample(sine(rate, 18000, 0.5, 0.5), rate));
+        assert.ok(peakAmplitude(output) < 0.01, `${rate} Hz input`);
+    });
+});
+
+test('PacketBatcher emits packets of exactly the packet size', () => {
+    const batcher = new PacketBatcher(PACKET_SAMPLES);
+    const packets = [];
+    let pushed = 0;
+    [128, 1, 479, 480, 1000, 37].forEach(size => {
+        packets.push(...batcher.push(new Float32Array(size).fill(0.25)));
+        pushed += size;
+    });
+
+    assert.equal(packets.length, Math.floor(pushed / PACKET_SAMPLES));
+    packets.forEach(packet => assert.equal(packet.length, PACKET_SAMPLES));
+});
+
+test('the capture worklet posts PCM16 packets of exactly the packet size', () => {
+    const posted = [];
+    let Processor = null;
+    const context = vm.createContext({
+        sampleRate: 48000,
+        AudioWorkletProcessor: class {
+            constructor() {
+                this.port = { postMessage: (message) => posted.push(message) };
+            }
+        },
+        registerProcessor: (name, processor) => { Processor = processor; }
+    });
+    // Same order call.html adds them to the AudioWorklet
+    ['resampler.js', 'capture-worklet.js'].forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'js', file), 'utf8'), context);
+    });
+
+    const processor = new Processor({ processorOptions: { targetRate: TARGET_RATE, packetSamples: PACKET_SAMPLES } });
+    const input = sine(48000, 1000, 0.5, 1);
+    for (let offset = 0; offset < input.length; offset += 128) {
+        processor.process([[input.subarray(offset, offset + 128)]]);
+    }
+
+    assert.ok(posted.length >= 49, `${posted.length} packets for one second`);
+    posted.forEach(message => {
+        assert.equal(message.samples, PACKET_SAMPLES);
+        assert.equal(message.audio.byteLength, PACKET_SAMPLES * 2);
+    });
+    const last = posted[posted.length - 1];
+    assert.ok(Math.abs(last.peak - 0.5) < 0.02, 'peak level');
+    assert.ok(Math.abs(last.rms - 0.5 / Math.SQRT2) < 0.02, 'rms level');
+});
@@ -0,0 +1,53 @@
+// Run from the repo root: node --test test/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Scoring = require('../js/scoring.js');
+
+const CLOSE = 'Could we schedule a demo for Tuesday?';
+
+function closedAfter(reply) {
+    return Scoring.scoreCall([
+        { speaker: 'ai', text: 'Hello, Dana speaking.' },
+        { speaker: 'user', text: CLOSE },
+        { speaker: 'ai', text: reply }
+    ]).closed;
+}
+
+test('a reply that opens with agreement closes the call', () => {
+    assert.equal(closedAfter('Sure, let\'s set up a follow-up call next week.'), true);
+    assert.equal(closedAfter('Yes. Tuesday works for me.'), true);
+    assert.equal(closedAfter('Sounds good, send the invite.'), true);
+    assert.equal(closedAfter('Okay, let\'s do it.'), true);
+});
+
+test('no and not inside an agreement still close the call', () => {
+    assert.equal(closedAfter('Sure, no problem.'), true);
+    assert.equal(closedAfter('Yes, that won\'t be an issue.'), true);
+    assert.equal(closedAfter('Absolutely, I don\'t see why not.'), true);
+});
+
+test('agreeing and then asking a question still closes the call', () => {
+    assert.equal(closedAfter('Great, what time works for you?'), true);
+    assert.equal(closedAfter('Sounds good. Does Tuesday at 10 work?'), true);
+});
+
+test('negating the agreement itself is not a close', () => {
+    assert.equal(closedAfter('I\'m not sure that\'s a priority right now.'), false);
+    assert.equal(closedAfter('Yeah, I don\'t think so.'), false);
+    assert.equal(closedAfter('Okay, that won\'t work for us.'), false);
+    assert.equal(closedAfter('No, we\'re all set.'), false);
+});
+
+test('a bare okay followed by a question is not a close', () => {
+    assert.equal(closedAfter('Okay, and how much does it cost?'), false);
+    assert.equal(closedAfter('What would the next step look like?'), false);
+});
+
+test('agreement words later in the reply are not a close', () => {
+    assert.equal(closedAfter('We looked at this last year and I\'m sure it was fine, but we moved on.'), false);
+});
+
+test('rejections still reject', () => {
+    assert.equal(closedAfter('No thanks.'), false);
+    assert.equal(closedAfter('Just send me an email.'), false);
+});